@@ -0,0 +1,78 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+// Keeps track of the audio files the server knows about (uploads and
+// rendered mixes) under opaque ids, so routes never take file paths from
+// clients. Records are saved to `file` so projects can refer to them after
+// a restart.
+function createAssetRegistry({ file }) {
+  const assets = new Map();
+
+  if (fs.existsSync(file)) {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(asset => assets.set(asset.id, asset));
+  }
+
+  function save() {
+    fs.writeFileSync(file, JSON.stringify([...assets.values()], null, 2));
+  }
+
+  // `info` holds what ffprobe reported for the file, plus the content
+  // `hash` and `size` of uploads
+  function add({ filePath, name, kind, info }) {
+    const asset = {
+      id: uuidv4(),
+      kind,
+      name,
+      path: filePath,
+      ...info,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: new Date().toISOString()
+    };
+    assets.set(asset.id, asset);
+    save();
+    return asset;
+  }
+
+  function get(id) {
+    return assets.get(id);
+  }
+
+  // Note that an asset was just used, for least-recently-used eviction
+  function touch(id) {
+    const asset = assets.get(id);
+    if (asset) {
+      asset.lastUsedAt = new Date().toISOString();
+      save();
+    }
+  }
+
+  function remove(id) {
+    const removed = assets.delete(id);
+    if (removed) {
+      save();
+    }
+    return removed;
+  }
+
+  // The upload with this content hash, if it's stored already
+  function findByHash(hash) {
+    return [...assets.values()].find(asset => asset.hash === hash);
+  }
+
+  // Every asset, newest first, optionally only those of one `kind`
+  function list(kind) {
+    return [...assets.values()]
+      .filter(asset => !kind || asset.kind === kind)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  return { add, get, touch, remove, findByHash, list };
+}
+
+// Public view of an asset, without its location on disk
+function describeAsset(asset) {
+  const { path: filePath, ...fields } = asset;
+  return { ...fields, peaksUrl: `/assets/${asset.id}/peaks` };
+}
+
+module.exports = { createAssetRegistry, describeAsset };
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const ffmpegStatic = require('ffmpeg-static');
+const { RecipeError, parseRecipe, validateRecipe, recipeSources, recipeRenderSettings } = require('../recipes');
+const { OutputSettingsError, resolveOutputSettings } = require('../outputFormats');
+const { resolveMainChain } = require('../mainChain');
+const { ClipSettingsError, resolveClips } = require('../clips');
+const { processAudio, mixCommandArguments, probeAudio } = require('../mixer');
+
+// Renders a mix recipe (see recipe.schema.json) without the server, using
+// the same engine. File paths in the recipe are relative to the recipe.
+
+const USAGE = `Usage: audiomix render <recipe.json|recipe.yaml> [options]
+
+Options:
+  -o, --output <file>  Where to write the mix (default: the recipe name with
+                       the output format's extension)
+  --dry-run            Print the ffmpeg commands instead of running them
+  -v, --verbose        Log the filter graph and ffmpeg progress
+  -h, --help           Show this help`;
+
+// Invalid input exits with 2, a failed render with 1
+class UsageError extends Error {}
+
+// Shell-quote an argument so printed commands can be pasted as they are
+const shellQuote = (arg) => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+
+function readRecipe(recipePath) {
+  let text;
+  try {
+    text = fs.readFileSync(recipePath, 'utf8');
+  } catch (err) {
+    throw new UsageError(`Could not read ${recipePath}: ${err.message}`);
+  }
+  try {
+    return validateRecipe(parseRecipe(text));
+  } catch (err) {
+    if (err instanceof RecipeError) {
+      const problems = err.problems.map(problem => `  ${problem.path} ${problem.message}`);
+      throw new UsageError([err.problems.length ? 'Invalid recipe:' : err.message, ...problems].join('\n'));
+    }
+    throw err;
+  }
+}
+
+// The output settings of a recipe. Without a format in the recipe it's
+// taken from the extension of `outputPath`, which then has to match.
+function outputSettingsFor(recipe, outputPath) {
+  const requested = { ...recipeRenderSettings(recipe).outputSettings };
+  const extension = outputPath ? path.extname(outputPath).slice(1).toLowerCase() : '';
+  if (!requested.format && extension) {
+    requested.format = extension;
+  }
+  let outputSettings;
+  try {
+    outputSettings = resolveOutputSettings(requested);
+  } catch (err) {
+    if (err instanceof OutputSettingsError) {
+      throw new UsageError(err.message);
+    }
+    throw err;
+  }
+  if (extension && extension !== outputSettings.extension) {
+    throw new UsageError(`The recipe renders ${outputSettings.name}, but the output file ends in .${extension}`);
+  }
+  return outputSettings;
+}
+
+function render(recipePath, options) {
+  const recipe = readRecipe(recipePath);
+  const recipeDir = path.dirname(path.resolve(recipePath));
+  const files = recipeSources(recipe).map(source => {
+    if (source.assetId) {
+      throw new UsageError(`${source.field} refers to asset "${source.assetId}"; only the server can render stored assets, use a path instead`);
+    }
+    return path.resolve(recipeDir, source.path);
+  });
+
+  const outputSettings = outputSettingsFor(recipe, options.output);
+  const outputPath = options.output || `${path.parse(recipePath).name}.${outputSettings.extension}`;
+  const { mainAudioMetadata, backgroundAudioMetadata } = recipeRenderSettings(recipe);
+  const log = options.verbose ? console.error : () => {};
+
+  return Promise.all(files.map(file => probeAudio(file).catch(err => {
+    throw new UsageError(`Could not read ${file}: ${err.message.trim().split('\n').pop().replace(`${file}: `, '')}`);
+  })))
+    .then(([mainInfo, ...backgroundInfos]) => {
+      let clips;
+      try {
+        clips = resolveClips(backgroundAudioMetadata, backgroundInfos.map(info => info.duration), mainInfo.duration);
+      } catch (err) {
+        if (err instanceof ClipSettingsError) {
+          throw new UsageError(err.message);
+        }
+        throw err;
+      }
+      const mainChain = resolveMainChain(mainAudioMetadata);
+      const [mainFile, ...backgroundFiles] = files;
+      const backgroundAudioFiles = backgroundFiles.map(file => ({ path: file }));
+
+      if (options['dry-run']) {
+        mixCommandArguments(mainFile, backgroundAudioFiles, mainChain, clips, outputPath, outputSettings, mainInfo.sampleRate, log)
+          .forEach(args => console.log([ffmpegStatic, ...args].map(shellQuote).join(' ')));
+        return;
+      }
+
+      const reporter = {
+        log,
+        setStage: stage => console.error(`${stage}...`),
+        setProgress: percent => {
+          if (process.stderr.isTTY) {
+            process.stderr.write(`\r${Math.min(percent, 100).toFixed(1)}%`);
+          }
+        }
+      };
+      return processAudio(mainFile, backgroundAudioFiles, mainChain, clips, outputPath, outputSettings, reporter)
+        .then(result => {
+          if (process.stderr.isTTY) {
+            process.stderr.write('\n');
+          }
+          if (result.loudness) {
+            const { output } = result.loudness;
+            console.error(`Loudness: ${output.integrated} LUFS, true peak ${output.truePeak} dBTP`);
+          }
+          console.error(`Wrote ${outputPath}`);
+        })
+        .catch(err => {
+          // Don't leave a half-written file behind
+          fs.rmSync(outputPath, { force: true });
+          throw err;
+        });
+    });
+}
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        'dry-run': { type: 'boolean' },
+        verbose: { type: 'boolean', short: 'v' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    return Promise.reject(new UsageError(`${err.message}\n\n${USAGE}`));
+  }
+
+  const [command, recipePath, ...extra] = parsed.positionals;
+  if (parsed.values.help) {
+    console.log(USAGE);
+    return Promise.resolve();
+  }
+  if (command !== 'render' || !recipePath || extra.length > 0) {
+    return Promise.reject(new UsageError(USAGE));
+  }
+  return Promise.resolve().then(() => render(recipePath, parsed.values));
+}
+
+main(process.argv.slice(2)).catch(err => {
+  if (err instanceof UsageError) {
+    console.error(err.message);
+    process.exitCode = 2;
+    return;
+  }
+  console.error(`Render failed: ${err.message}`);
+  process.exitCode = 1;
+});
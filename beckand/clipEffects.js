@@ -0,0 +1,80 @@
+// Effects for a background clip and the ranges ffmpeg accepts for them.
+// `stereo.pan` runs from -1 (left) to 1 (right) and `stereo.width` from 0
+// (mono) over 1 (unchanged) to 2 (twice as wide). Shelf gains are in dB,
+// frequencies in Hz and a `highCut` of 0 leaves the highs alone. The reverb
+// is a single echo `delay` ms after the dry signal, `decay` times as loud.
+const CLIP_EFFECT_DEFAULTS = {
+  stereo: { pan: 0, width: 1 },
+  eq: { lowGain: 0, lowFrequency: 200, highGain: 0, highFrequency: 5000, highCut: 0 },
+  reverb: { delay: 60, decay: 0.3 }
+};
+const CLIP_EFFECT_LIMITS = {
+  stereo: { pan: [-1, 1], width: [0, 2] },
+  eq: { lowGain: [-24, 24], lowFrequency: [20, 1000], highGain: [-24, 24], highFrequency: [1000, 16000], highCut: [0, 20000] },
+  reverb: { delay: [1, 2000], decay: [0, 0.9] }
+};
+// A high-cut below this would remove all but the rumble
+const MIN_HIGH_CUT = 200;
+// Smallest side level stereotools accepts
+const MIN_SIDE_LEVEL = 0.015625;
+
+const resolveGroup = (values, name) => {
+  const resolved = {};
+  Object.keys(CLIP_EFFECT_DEFAULTS[name]).forEach(key => {
+    const [min, max] = CLIP_EFFECT_LIMITS[name][key];
+    const value = parseFloat(values && values[key]);
+    resolved[key] = isNaN(value) ? CLIP_EFFECT_DEFAULTS[name][key] : Math.max(min, Math.min(value, max));
+  });
+  return resolved;
+};
+
+// Normalize the effect settings of a placement, clamping every number into
+// its range. The reverb is null unless enabled.
+function resolveClipEffects(placement) {
+  const eq = resolveGroup(placement.eq, 'eq');
+  if (eq.highCut > 0) {
+    eq.highCut = Math.max(eq.highCut, MIN_HIGH_CUT);
+  }
+  return {
+    stereo: resolveGroup(placement.stereo, 'stereo'),
+    eq,
+    reverb: placement.reverb && placement.reverb.enabled ? resolveGroup(placement.reverb, 'reverb') : null
+  };
+}
+
+// ffmpeg filters for a clip's effects, in the order they run. Settings left
+// at their neutral value add no filter.
+function clipEffectFilters(effects) {
+  const filters = [];
+  const { eq, reverb, stereo } = effects;
+  if (eq.lowGain !== 0) {
+    filters.push(`lowshelf=g=${eq.lowGain}:f=${eq.lowFrequency}`);
+  }
+  if (eq.highGain !== 0) {
+    filters.push(`highshelf=g=${eq.highGain}:f=${eq.highFrequency}`);
+  }
+  if (eq.highCut > 0) {
+    filters.push(`lowpass=f=${eq.highCut}`);
+  }
+  if (reverb) {
+    // Turn the clip down by the echo's share so it doesn't start clipping
+    const outGain = (1 / (1 + reverb.decay)).toFixed(4);
+    filters.push(`aecho=in_gain=1:out_gain=${outGain}:delays=${reverb.delay}:decays=${reverb.decay}`);
+  }
+  if (stereo.pan !== 0 || stereo.width !== 1) {
+    // Both filters below need two channels, so mono files are upmixed first
+    filters.push('aformat=channel_layouts=stereo');
+    // stereotools can't turn the side signal off entirely, so collapsing to
+    // mono averages the channels instead
+    if (stereo.width === 0) {
+      filters.push('pan=stereo|c0=0.5*c0+0.5*c1|c1=0.5*c0+0.5*c1');
+    }
+    const sideLevel = stereo.width === 0 ? 1 : Math.max(stereo.width, MIN_SIDE_LEVEL);
+    if (sideLevel !== 1 || stereo.pan !== 0) {
+      filters.push(`stereotools=slev=${sideLevel}:balance_out=${stereo.pan}`);
+    }
+  }
+  return filters;
+}
+
+module.exports = { CLIP_EFFECT_DEFAULTS, resolveClipEffects, clipEffectFilters };
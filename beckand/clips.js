@@ -0,0 +1,270 @@
+const { resolveDucking } = require('./ducking');
+const { resolveClipEffects } = require('./clipEffects');
+
+// Fade curve names accepted from clients and the ffmpeg `afade` curve each
+// one maps to
+const FADE_CURVES = {
+  linear: 'tri',
+  exponential: 'exp',
+  logarithmic: 'log',
+  's-curve': 'hsin'
+};
+// Crossfades use quarter-sine curves so the overlap keeps constant power
+const CROSSFADE_CURVE = 'qsin';
+const DEFAULT_FADE_OUT = 0.5;
+// Looped sources are resampled to this rate so loop lengths can be given
+// in samples
+const LOOP_SAMPLE_RATE = 48000;
+// Clips count as touching when one starts within this many seconds of the
+// previous one ending
+const TOUCH_TOLERANCE = 0.001;
+
+// Gain envelopes are keyframes of (time in seconds from the clip start, gain
+// in dB). `linear` interpolates the gain factor between keyframes,
+// `exponential` the dB value, which sounds like an even swell or dip.
+const ENVELOPE_INTERPOLATIONS = ['linear', 'exponential'];
+const ENVELOPE_GAIN_RANGE = [-60, 12];
+// Clip volumes above 1 boost the clip; 4 is about +12 dB
+const MAX_VOLUME = 4;
+
+class ClipSettingsError extends Error {}
+
+function resolveFade(fade, defaultDuration, clipName, name) {
+  if (!fade) {
+    return { duration: defaultDuration, curve: FADE_CURVES.linear };
+  }
+
+  const duration = parseFloat(fade.duration) || 0;
+  if (duration < 0) {
+    throw new ClipSettingsError(`${clipName}: ${name} duration can't be negative`);
+  }
+  const curve = fade.curve || 'linear';
+  if (!FADE_CURVES[curve]) {
+    throw new ClipSettingsError(`${clipName}: unknown ${name} curve "${curve}". Use one of: ${Object.keys(FADE_CURVES).join(', ')}`);
+  }
+  return { duration, curve: FADE_CURVES[curve] };
+}
+
+// Keyframes sorted by time, or null for a clip without an envelope
+function resolveEnvelope(envelope, clipName) {
+  if (!envelope || !Array.isArray(envelope.points) || envelope.points.length === 0) {
+    return null;
+  }
+  const interpolation = envelope.interpolation || 'linear';
+  if (!ENVELOPE_INTERPOLATIONS.includes(interpolation)) {
+    throw new ClipSettingsError(`${clipName}: unknown envelope interpolation "${interpolation}". Use one of: ${ENVELOPE_INTERPOLATIONS.join(', ')}`);
+  }
+  const [minGain, maxGain] = ENVELOPE_GAIN_RANGE;
+  const points = envelope.points.map(point => {
+    const time = parseFloat(point && point.time);
+    const gain = parseFloat(point && point.gain);
+    if (isNaN(time) || time < 0 || isNaN(gain)) {
+      throw new ClipSettingsError(`${clipName}: envelope points need a time of 0 or more and a gain in dB`);
+    }
+    return { time, gain: Math.max(minGain, Math.min(gain, maxGain)) };
+  });
+  return { interpolation, points: points.sort((a, b) => a.time - b.time) };
+}
+
+// Resolve one placement of a background file on the main track. `timestamp`
+// is where the clip lands on the main track, `sourceStart` where playback
+// starts inside its own file.
+function resolvePlacement(placement, { asset, index, clipName, sourceDuration, mainDuration }) {
+  const startTime = parseFloat(placement.timestamp) || 0;
+  if (startTime < 0) {
+    throw new ClipSettingsError(`${clipName}: timestamp can't be negative`);
+  }
+  if (startTime >= mainDuration) {
+    throw new ClipSettingsError(`${clipName}: timestamp must be before the end of the main track (${mainDuration.toFixed(2)}s)`);
+  }
+  const sourceStart = parseFloat(placement.sourceStart) || 0;
+  if (sourceStart < 0 || sourceStart >= sourceDuration) {
+    throw new ClipSettingsError(`${clipName}: source start must be between 0 and the file length (${sourceDuration.toFixed(2)}s)`);
+  }
+  const parsedVolume = parseFloat(placement.volume);
+  const volume = isNaN(parsedVolume) ? 1 : Math.max(0, Math.min(parsedVolume, MAX_VOLUME));
+
+  const specifiedDuration = parseFloat(placement.duration) || (mainDuration - startTime);
+  if (specifiedDuration < 0) {
+    throw new ClipSettingsError(`${clipName}: duration can't be negative`);
+  }
+  let loop = null;
+  if (placement.loop && placement.loop.enabled) {
+    const segment = sourceDuration - sourceStart;
+    const loopCrossfade = parseFloat(placement.loop.crossfade) || 0;
+    if (loopCrossfade < 0 || loopCrossfade >= segment / 2) {
+      throw new ClipSettingsError(`${clipName}: loop crossfade must be shorter than half the looped audio (${(segment / 2).toFixed(2)}s)`);
+    }
+    loop = { segment, crossfade: loopCrossfade };
+  }
+
+  // A clip that doesn't loop ends with its file, so its fade-out has audio
+  // to fade
+  const sourceLeft = loop ? Infinity : sourceDuration - sourceStart;
+  const endTime = Math.min(startTime + specifiedDuration, startTime + sourceLeft, mainDuration);
+  const length = endTime - startTime;
+
+  const fadeIn = resolveFade(placement.fadeIn, 0, clipName, 'fade-in');
+  // Keep the old fixed half-second fade-out, but never longer than what the
+  // fade-in leaves of the clip
+  const fadeOut = resolveFade(placement.fadeOut, Math.max(0, Math.min(DEFAULT_FADE_OUT, length - fadeIn.duration)), clipName, 'fade-out');
+  if (fadeIn.duration + fadeOut.duration > length + TOUCH_TOLERANCE) {
+    throw new ClipSettingsError(`${clipName}: fade-in and fade-out (${fadeIn.duration + fadeOut.duration}s) are longer than the clip (${length.toFixed(2)}s)`);
+  }
+
+  const crossfade = parseFloat(placement.crossfade) || 0;
+  if (crossfade < 0 || crossfade > length) {
+    throw new ClipSettingsError(`${clipName}: crossfade must be between 0 and the clip length (${length.toFixed(2)}s)`);
+  }
+
+  return {
+    asset,
+    name: clipName,
+    label: `bg${asset + 1}_${index + 1}`,
+    // Placements of the same file share a track unless told otherwise
+    track: placement.track !== undefined ? String(placement.track) : `bg${asset + 1}`,
+    startTime,
+    endTime,
+    sourceStart,
+    sourceDuration,
+    volume,
+    fadeIn,
+    fadeOut,
+    crossfade,
+    loop,
+    envelope: resolveEnvelope(placement.envelope, clipName),
+    duck: resolveDucking(placement.duck),
+    effects: resolveClipEffects(placement)
+  };
+}
+
+// Turn the loosely typed background audio metadata sent by clients into
+// clips with absolute start/end times on the main track. Each entry
+// describes one uploaded file and lists its `placements`; entries without
+// that list are a single placement. `sourceDurations` holds the probed
+// length of each background file. Throws ClipSettingsError for settings
+// that can't work.
+function resolveClips(backgroundAudioMetadata, sourceDurations, mainDuration) {
+  const clips = [];
+
+  sourceDurations.forEach((sourceDuration, asset) => {
+    const assetMetadata = backgroundAudioMetadata[asset] || {};
+    const placements = Array.isArray(assetMetadata.placements) ? assetMetadata.placements : [assetMetadata];
+
+    placements.forEach((placement, index) => {
+      const clipName = placements.length > 1
+        ? `Background audio ${asset + 1}, placement ${index + 1}`
+        : `Background audio ${asset + 1}`;
+      clips.push(resolvePlacement(placement || {}, { asset, index, clipName, sourceDuration, mainDuration }));
+    });
+  });
+
+  applyCrossfades(clips, mainDuration);
+  return clips;
+}
+
+// When a clip with a crossfade starts where the previous clip on the same
+// track ends, let the previous clip run on for the crossfade length and
+// overlap the two with complementary fades. The previous clip's file has to
+// have that much audio left unless it loops.
+function applyCrossfades(clips, mainDuration) {
+  const tracks = {};
+  clips.forEach(clip => {
+    (tracks[clip.track] = tracks[clip.track] || []).push(clip);
+  });
+
+  Object.values(tracks).forEach(trackClips => {
+    const ordered = [...trackClips].sort((a, b) => a.startTime - b.startTime);
+    for (let i = 1; i < ordered.length; i++) {
+      const previous = ordered[i - 1];
+      const clip = ordered[i];
+      if (!clip.crossfade || Math.abs(clip.startTime - previous.endTime) > TOUCH_TOLERANCE) {
+        continue;
+      }
+
+      const sourceLeft = previous.sourceDuration - previous.sourceStart - (previous.endTime - previous.startTime);
+      if (!previous.loop && clip.crossfade > sourceLeft + TOUCH_TOLERANCE) {
+        throw new ClipSettingsError(`${clip.name}: crossfade (${clip.crossfade}s) is longer than what is left of the previous clip's file (${Math.max(sourceLeft, 0).toFixed(2)}s)`);
+      }
+      previous.endTime = Math.min(previous.endTime + clip.crossfade, mainDuration);
+      previous.fadeOut = { duration: previous.endTime - clip.startTime, curve: CROSSFADE_CURVE };
+      clip.fadeIn = { duration: clip.crossfade, curve: CROSSFADE_CURVE };
+    }
+  });
+}
+
+// Whether a clip is set to loop and is longer than one pass of its source
+function needsLoop(clip) {
+  return Boolean(clip.loop) && clip.endTime - clip.startTime > clip.loop.segment;
+}
+
+// Filters that repeat the clip's source (from its in-point to the end of the
+// file) often enough to fill the clip. The repeats come from one `aloop`, so
+// the graph stays the same size however long the clip is. With a crossfade
+// the repeated part ends in a blend of the source's tail into its head, and
+// carries on after the head, so every seam is crossfaded once. Reads from
+// `inputLabel` and writes to `outputLabel`.
+function loopFilters(clip, inputLabel, outputLabel) {
+  const length = clip.endTime - clip.startTime;
+  const { segment, crossfade } = clip.loop;
+  // Every seam shortens the result by the crossfade length
+  const repeats = Math.max(2, Math.ceil((length - crossfade) / (segment - crossfade)));
+  // aloop counts in samples, so the source is brought to a known rate first.
+  // Rounding up is safe: aloop repeats what it got if the input ends early.
+  const loopSize = Math.ceil((segment - crossfade) * LOOP_SAMPLE_RATE);
+  const source = `[${inputLabel}]atrim=start=${clip.sourceStart},asetpts=PTS-STARTPTS,aresample=${LOOP_SAMPLE_RATE}`;
+
+  if (crossfade <= 0) {
+    return [`${source},aloop=loop=${repeats - 1}:size=${loopSize}[${outputLabel}]`];
+  }
+
+  const part = (name) => `${outputLabel}_${name}`;
+  return [
+    `${source},asplit=4[${part('intro')}][${part('body')}][${part('tail')}][${part('head')}]`,
+    `[${part('intro')}]atrim=0:${crossfade}[${part('introtrim')}]`,
+    `[${part('body')}]atrim=${crossfade}:${segment - crossfade},asetpts=PTS-STARTPTS[${part('bodytrim')}]`,
+    `[${part('tail')}]atrim=start=${segment - crossfade},asetpts=PTS-STARTPTS[${part('tailtrim')}]`,
+    `[${part('head')}]atrim=0:${crossfade}[${part('headtrim')}]`,
+    `[${part('tailtrim')}][${part('headtrim')}]acrossfade=d=${crossfade}:c1=${CROSSFADE_CURVE}:c2=${CROSSFADE_CURVE}[${part('seam')}]`,
+    `[${part('bodytrim')}][${part('seam')}]concat=n=2:v=0:a=1,aloop=loop=${repeats - 1}:size=${loopSize}[${part('repeats')}]`,
+    `[${part('introtrim')}][${part('repeats')}]concat=n=2:v=0:a=1[${outputLabel}]`
+  ];
+}
+
+// afade filters for a clip, relative to the start of the trimmed clip
+function fadeFilters(clip) {
+  const length = clip.endTime - clip.startTime;
+  const filters = [];
+  if (clip.fadeIn.duration > 0) {
+    filters.push(`afade=t=in:st=0:d=${clip.fadeIn.duration}:curve=${clip.fadeIn.curve}`);
+  }
+  if (clip.fadeOut.duration > 0) {
+    filters.push(`afade=t=out:st=${Math.max(length - clip.fadeOut.duration, 0)}:d=${clip.fadeOut.duration}:curve=${clip.fadeOut.curve}`);
+  }
+  return filters;
+}
+
+// A volume filter that follows the clip's gain envelope, evaluated for
+// every frame. Before the first and after the last keyframe the gain holds.
+function envelopeFilter(envelope) {
+  const { points, interpolation } = envelope;
+  const factor = (gain) => Math.pow(10, gain / 20).toFixed(6);
+  const segment = (from, to) => {
+    const progress = `(t-${from.time})/${to.time - from.time}`;
+    return interpolation === 'exponential'
+      ? `pow(10,(${from.gain}+${to.gain - from.gain}*${progress})/20)`
+      : `${factor(from.gain)}+${(factor(to.gain) - factor(from.gain)).toFixed(6)}*${progress}`;
+  };
+
+  // Built from the last keyframe backwards into nested if()s
+  let expression = factor(points[points.length - 1].gain);
+  for (let i = points.length - 1; i > 0; i--) {
+    if (points[i].time > points[i - 1].time) {
+      expression = `if(lt(t,${points[i].time}),${segment(points[i - 1], points[i])},${expression})`;
+    }
+  }
+  expression = `if(lt(t,${points[0].time}),${factor(points[0].gain)},${expression})`;
+  return `volume=volume='${expression}':eval=frame`;
+}
+
+module.exports = { FADE_CURVES, ClipSettingsError, resolveClips, needsLoop, loopFilters, fadeFilters, envelopeFilter };
@@ -0,0 +1,38 @@
+// Defaults and allowed ranges for ducking a background clip under the main
+// track. `threshold` and `depth` are in dB, `attack` and `release` in ms.
+const DUCKING_DEFAULTS = { threshold: -30, ratio: 8, attack: 20, release: 300, depth: 12 };
+const DUCKING_LIMITS = {
+  threshold: [-60, 0],
+  ratio: [1, 20],
+  attack: [0.01, 2000],
+  release: [0.01, 9000],
+  depth: [0, 60]
+};
+
+// Normalize a clip's `duck` metadata. Returns null when ducking is off,
+// otherwise every setting clamped into the range ffmpeg accepts.
+function resolveDucking(duck) {
+  if (!duck || !duck.enabled) {
+    return null;
+  }
+
+  const resolved = {};
+  Object.keys(DUCKING_DEFAULTS).forEach(key => {
+    const [min, max] = DUCKING_LIMITS[key];
+    const value = parseFloat(duck[key]);
+    resolved[key] = isNaN(value) ? DUCKING_DEFAULTS[key] : Math.max(min, Math.min(value, max));
+  });
+  return resolved;
+}
+
+// sidechaincompress filter for a ducked clip. Its `mix` option blends the
+// compressed and dry signal, which caps the gain reduction: with the clip
+// fully compressed only the dry share (1 - mix) remains, so the depth in dB
+// maps to mix = 1 - 10^(-depth / 20).
+function sidechainFilter(duck) {
+  const threshold = Math.max(Math.pow(10, duck.threshold / 20), 0.000976563);
+  const mix = 1 - Math.pow(10, -duck.depth / 20);
+  return `sidechaincompress=threshold=${threshold.toFixed(6)}:ratio=${duck.ratio}:attack=${duck.attack}:release=${duck.release}:mix=${mix.toFixed(4)}`;
+}
+
+module.exports = { DUCKING_DEFAULTS, resolveDucking, sidechainFilter };
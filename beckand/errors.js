@@ -0,0 +1,34 @@
+// Every error response has the same body:
+//   { error: { code, message, field, details } }
+// `code` is a stable identifier clients can branch on, `message` is meant
+// for people, `field` names the request field at fault (or null) and
+// `details` carries anything else that helps, such as the limit that was hit.
+class ApiError extends Error {
+  constructor(status, code, message, { field = null, details = null } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.field = field;
+    this.details = details;
+  }
+}
+
+// The error schema for any error. Errors that aren't ApiErrors are
+// unexpected, so their message is replaced by `fallbackMessage`.
+function describeError(err, fallbackMessage = 'Something went wrong') {
+  if (err instanceof ApiError) {
+    return { code: err.code, message: err.message, field: err.field, details: err.details };
+  }
+  return { code: 'internal_error', message: fallbackMessage, field: null, details: null };
+}
+
+function sendError(res, status, code, message, { field = null, details = null } = {}) {
+  return res.status(status).json({ error: { code, message, field, details } });
+}
+
+// Reply with an ApiError's status, or 500 for anything else
+function sendApiError(res, err, fallbackMessage) {
+  return res.status(err instanceof ApiError ? err.status : 500).json({ error: describeError(err, fallbackMessage) });
+}
+
+module.exports = { ApiError, describeError, sendError, sendApiError };
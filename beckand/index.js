@@ -1,190 +1,831 @@
 const express = require('express');
 const multer = require('multer');
-const ffmpeg = require('fluent-ffmpeg');
-const ffmpegStatic = require('ffmpeg-static');
-const ffprobeStatic = require('ffprobe-static');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
+const { v4: uuidv4 } = require('uuid');
+const { createJobQueue, describeJob } = require('./jobs');
+const { OutputSettingsError, resolveOutputSettings, contentTypeForFile } = require('./outputFormats');
+const { resolveMainChain } = require('./mainChain');
+const { ClipSettingsError, resolveClips } = require('./clips');
+const { processAudio, probeAudio } = require('./mixer');
+const { createAssetRegistry, describeAsset } = require('./assets');
+const { ProjectValidationError, normalizeProject, createProjectStore } = require('./projects');
+const { hashFile, moveIntoStore, copyIntoStore } = require('./storage');
+const { createRenderStore, describeRender } = require('./renders');
+const { resolveRetentionPolicy, createRetention } = require('./retention');
+const { createUrlSigner } = require('./signedUrls');
+const { ApiError, sendError, sendApiError } = require('./errors');
+const { resolveUploadLimits, audioFileFilter, uploadError, checkTotalDuration, checkRenderLimits } = require('./uploadLimits');
+const { YAML_TYPES, RecipeError, parseRecipe, validateRecipe, recipeSources, resolveRecipePath, recipeRenderSettings } = require('./recipes');
+const { PeaksSettingsError, resolveZoom, createPeaksCache, waveformDat } = require('./peaks');
 
 const app = express();
 app.use(cors());
-
-// Set the FFmpeg and FFprobe paths
-ffmpeg.setFfmpegPath(ffmpegStatic);
-ffmpeg.setFfprobePath(ffprobeStatic.path);
+app.use(express.json());
 
 // Define directory paths
 const uploadsDir = path.join(__dirname, 'uploads');
+// Uploads land here until they're hashed and moved into uploadsDir
+const incomingDir = path.join(uploadsDir, 'incoming');
 const publicDir = path.join(__dirname, 'public');
 const outputDir = path.join(__dirname, 'output');
+const peaksDir = path.join(__dirname, 'peaks');
+const dataDir = path.join(__dirname, 'data');
+// Recipes may reference files in here by relative path. Without it they
+// can only use stored assets.
+const recipeMediaDir = process.env.RECIPE_MEDIA_DIR ? path.resolve(process.env.RECIPE_MEDIA_DIR) : null;
 
 // Create necessary directories
-[uploadsDir, publicDir, outputDir].forEach(dir => {
+[uploadsDir, incomingDir, publicDir, outputDir, peaksDir, dataDir].forEach(dir => {
   fs.mkdirSync(dir, { recursive: true });
 });
 
 // Configure multer to use the uploads directory
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, uploadsDir)
+    cb(null, incomingDir)
   },
   filename: function (req, file, cb) {
-    cb(null, file.originalname)
+    cb(null, uuidv4())
   }
 });
 
-const upload = multer({ storage: storage });
+const uploadLimits = resolveUploadLimits();
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: uploadLimits.maxFileBytes || Infinity },
+  fileFilter: audioFileFilter
+});
+const maxBackgroundUploads = uploadLimits.maxBackgroundTracks || Infinity;
+
+// Take files in `fileFields` (see uploadError) and reply with the error
+// schema when an upload breaks a limit; multer removes whatever it already
+// wrote in that case.
+// Uploads that weren't moved into the store by the time the response is
+// sent, because the request was rejected, are deleted.
+function acceptUploads(fileFields) {
+  const middleware = upload.fields(fileFields.map(({ name, maxCount }) => ({ name, maxCount })));
+  return (req, res, next) => middleware(req, res, (err) => {
+    if (err) {
+      return sendApiError(res, uploadError(err, uploadLimits, fileFields), 'Could not receive the upload');
+    }
+    res.on('finish', () => {
+      const files = Object.values(req.files || {}).flat();
+      files.forEach(file => fs.unlink(file.path, () => {}));
+    });
+    next();
+  });
+}
+
+// Limit how many ffmpeg processes may run at the same time
+const jobQueue = createJobQueue({
+  concurrency: parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1
+});
+
+const assets = createAssetRegistry({ file: path.join(dataDir, 'assets.json') });
+const projects = createProjectStore({ dir: path.join(dataDir, 'projects') });
+const renders = createRenderStore({ file: path.join(dataDir, 'renders.json') });
+// Peaks are decoded by ffmpeg too, so uploads can't start one process each
+const peaksCache = createPeaksCache({
+  cacheDir: peaksDir,
+  concurrency: parseInt(process.env.MAX_CONCURRENT_PEAKS, 10) || 1
+});
+const retention = createRetention({
+  policy: resolveRetentionPolicy(),
+  assets,
+  renders,
+  projects,
+  peaksCache,
+  jobs: jobQueue,
+  dirs: { incoming: incomingDir, temp: outputDir }
+});
+retention.failAbandonedRenders();
 
-app.post('/process', upload.fields([
-  { name: 'mainAudio', maxCount: 1 },
-  { name: 'backgroundAudios', maxCount: 10 }
+// With DOWNLOAD_SECRET set, download links are signed and expire
+const downloadSigner = createUrlSigner({
+  secret: process.env.DOWNLOAD_SECRET,
+  ttlSeconds: parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS, 10) || 3600
+});
+const RENDER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function downloadUrlFor(renderId) {
+  return downloadSigner.sign(`/download/${renderId}`, renderId);
+}
+
+// With signed downloads the server is private: routes that list renders
+// and assets or hand out their files need the admin token, so ids can't be
+// enumerated to get around the signatures. Without a secret everything is
+// public anyway.
+function requireAdminWhenSigned(req, res, next) {
+  if (!downloadSigner.enabled) {
+    return next();
+  }
+  requireAdmin(req, res, next);
+}
+
+// A render as returned by the API, with a fresh download link
+function describeRenderForClient(render) {
+  return { ...describeRender(render), downloadUrl: render.state === 'done' ? downloadUrlFor(render.id) : null };
+}
+
+// File name offered when saving a render: the main track's name with the
+// output extension, minus anything that isn't safe in a file name
+function downloadNameFor(render, extension) {
+  const main = render.inputs.find(input => input.role === 'main');
+  const base = main ? path.parse(main.name).name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim() : '';
+  return `${base || 'mix'}.${extension}`;
+}
+
+// Register a probed file as an asset and start computing its waveform
+// peaks in the background
+function addAsset(filePath, name, kind, info) {
+  const asset = assets.add({ filePath, name, kind, info });
+  peaksCache.generate(asset.id, asset.path, asset.sampleRate)
+    .catch(err => console.error(`Could not compute peaks for ${name}:`, err.message));
+  return asset;
+}
+
+// Resolve the clips of a render and queue it. Replies 400 when the clip
+// settings don't fit the given assets, otherwise 202 with the job. Every
+// render writes to its own file and gets a record in the render history.
+// `placementField` names the request field clip errors point at.
+function queueRender(res, { mainAsset, backgroundAssets, mainAudioMetadata = {}, backgroundAudioMetadata, outputSettings, projectId = null, placementField = 'backgroundAudioMetadata' }) {
+  try {
+    checkRenderLimits(uploadLimits, mainAsset, backgroundAssets);
+  } catch (error) {
+    return sendApiError(res, error);
+  }
+
+  let clips;
+  try {
+    clips = resolveClips(backgroundAudioMetadata, backgroundAssets.map(asset => asset.duration), mainAsset.duration);
+  } catch (error) {
+    if (error instanceof ClipSettingsError) {
+      return sendError(res, 400, 'invalid_placement', error.message, { field: placementField });
+    }
+    return sendError(res, 400, 'invalid_json', 'Invalid background audio metadata format', { field: placementField });
+  }
+
+  const mainChain = resolveMainChain(mainAudioMetadata);
+  const renderId = uuidv4();
+  const outputFileName = `${renderId}.${outputSettings.extension}`;
+  const finalOutputPath = path.join(publicDir, outputFileName);
+
+  const job = jobQueue.enqueue((reporter) => {
+    console.log(`Starting render ${renderId}...`);
+    renders.update(renderId, { state: 'running', startedAt: new Date().toISOString() });
+    const commands = [];
+    const renderReporter = { ...reporter, addCommand: commandLine => commands.push(commandLine) };
+
+    return processAudio(mainAsset.path, backgroundAssets, mainChain, clips, finalOutputPath, outputSettings, renderReporter)
+      .then(result => probeAudio(finalOutputPath).then(info => {
+        console.log('Processing finished successfully');
+        const outputAsset = addAsset(finalOutputPath, downloadNameFor(renders.get(renderId), outputSettings.extension), 'render', info);
+        renders.update(renderId, {
+          state: 'done',
+          commands,
+          outputAssetId: outputAsset.id,
+          duration: info.duration,
+          size: fs.statSync(finalOutputPath).size,
+          ...result,
+          finishedAt: new Date().toISOString()
+        });
+        return {
+          renderId,
+          downloadUrl: downloadUrlFor(renderId),
+          format: outputSettings.name,
+          contentType: outputSettings.contentType,
+          assetId: outputAsset.id,
+          peaksUrl: `/assets/${outputAsset.id}/peaks`,
+          ...result
+        };
+      }))
+      .catch(err => {
+        console.error('Error during audio processing:', err);
+        // Don't leave a half-written file behind
+        fs.unlink(finalOutputPath, () => {});
+        renders.update(renderId, { state: 'failed', commands, error: err.message, finishedAt: new Date().toISOString() });
+        // ffmpeg's own message names paths on this server and the filter
+        // graph, so it stays in the log and the stored record
+        throw new ApiError(500, 'render_failed', 'The mix could not be rendered', {
+          details: { reason: 'ffmpeg could not process the audio; the server log has the details' }
+        });
+      });
+  });
+
+  const inputs = [mainAsset, ...backgroundAssets];
+  inputs.forEach(asset => assets.touch(asset.id));
+  renders.create({
+    id: renderId,
+    jobId: job.id,
+    projectId,
+    inputs: inputs.map((asset, index) => ({
+      role: index === 0 ? 'main' : 'background',
+      assetId: asset.id,
+      name: asset.name
+    })),
+    parameters: {
+      mainChain,
+      backgroundAudioMetadata,
+      clips,
+      outputSettings
+    },
+    outputPath: finalOutputPath
+  });
+
+  res.status(202).json({
+    message: 'Audio processing queued',
+    jobId: job.id,
+    renderId,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`,
+    inputs: inputs.map(({ id, name, format, codec, sampleRate, channels, duration }) => ({
+      name,
+      assetId: id,
+      peaksUrl: `/assets/${id}/peaks`,
+      format,
+      codec,
+      sampleRate,
+      channels,
+      duration
+    }))
+  });
+}
+
+// The error for an upload ffprobe can't make sense of, pointing at the
+// form field and the file's position within it
+function unreadableUpload(file, files, reason) {
+  const index = files.filter(other => other.fieldname === file.fieldname).indexOf(file);
+  return new ApiError(415, 'unsupported_audio', `${file.originalname} is not a readable audio file`, {
+    field: file.fieldname,
+    details: { file: file.originalname, index, reason }
+  });
+}
+
+// Files being stored right now by content hash, so requests that send the
+// same file at the same time share one asset
+const storing = new Map();
+
+// Resolves with the asset holding content `hash`. Unless it's stored
+// already or another request is storing it, `store` is called to create it.
+function assetForHash(hash, store) {
+  const existing = assets.findByHash(hash);
+  if (existing) {
+    assets.touch(existing.id);
+    return Promise.resolve(existing);
+  }
+  if (!storing.has(hash)) {
+    storing.set(hash, store().finally(() => storing.delete(hash)));
+  }
+  return storing.get(hash);
+}
+
+// Store uploaded files under their content hash and register them as
+// assets. Content the server already has resolves to the existing asset
+// without probing it again. Rejects with an ApiError when one of them
+// can't be decoded or they are too long together; no upload is kept then.
+function storeUploads(files) {
+  return Promise.all(files.map(file => hashFile(file.path).then(hash => {
+    if (assets.findByHash(hash)) {
+      return { file, hash };
+    }
+    return probeAudio(file.path).then(info => {
+      if (!(info.duration > 0)) {
+        throw unreadableUpload(file, files, 'The file has no playable audio');
+      }
+      return { file, hash, info };
+    }, err => {
+      // ffprobe's last line says what's wrong; the rest is its banner
+      const reason = err.message.trim().split('\n').pop().replace(`${file.path}: `, '');
+      throw unreadableUpload(file, files, reason);
+    });
+  })))
+    .then(results => {
+      checkTotalDuration(uploadLimits, results.map(({ hash, info }) => info ? info.duration : assets.findByHash(hash).duration));
+      return results;
+    })
+    // One at a time, so the same file uploaded twice in a request is
+    // stored once
+    .then(results => results.reduce((chain, { file, hash, info }) => chain.then(stored => (
+      assetForHash(hash, () => moveIntoStore(file.path, uploadsDir, hash, file.originalname)
+        .then(filePath => addAsset(filePath, file.originalname, 'upload', { ...info, hash, size: file.size })))
+        .then(asset => {
+          // Left over when the file was stored already
+          fs.unlink(file.path, () => {});
+          return [...stored, asset];
+        })
+    )), Promise.resolve([])))
+    .catch(err => {
+      files.forEach(file => fs.unlink(file.path, () => {}));
+      throw err;
+    });
+}
+
+// Store uploads as assets. Replies with the error and resolves with null
+// when that fails.
+function registerUploads(res, files) {
+  return storeUploads(files)
+    .catch(err => {
+      if (err instanceof ApiError) {
+        console.error('Rejected upload:', err.message, err.details || '');
+      } else {
+        console.error('Error storing uploads:', err);
+      }
+      sendApiError(res, err, 'Could not store the uploaded files');
+      return null;
+    });
+}
+
+// Renders either freshly uploaded files or, when `mainAssetId` and
+// `backgroundAssetIds` are sent instead, assets stored earlier
+app.post('/process', acceptUploads([
+  { name: 'mainAudio', maxCount: 1, label: 'main audio' },
+  { name: 'backgroundAudios', maxCount: maxBackgroundUploads, label: 'background audio' }
 ]), (req, res) => {
-  if (!req.files || !req.files.mainAudio || !req.files.backgroundAudios) {
-    return res.status(400).json({ error: 'Please upload one main audio file and at least one background audio file.' });
+  const fromAssets = Boolean(req.body.mainAssetId);
+  if (!fromAssets && (!req.files || !req.files.mainAudio)) {
+    return sendError(res, 400, 'missing_file', 'Please upload one main audio file.', { field: 'mainAudio' });
+  }
+  if (!fromAssets && !req.files.backgroundAudios) {
+    return sendError(res, 400, 'missing_file', 'Please upload at least one background audio file.', { field: 'backgroundAudios' });
   }
 
-  const mainAudioFile = req.files.mainAudio[0];
-  const backgroundAudioFiles = req.files.backgroundAudios;
-  const mainAudioFileOriginalName = path.parse(req.files.mainAudio[0].originalname).name;
-  
   let backgroundAudioMetadata = [];
   if (req.body.backgroundAudioMetadata) {
     try {
       backgroundAudioMetadata = JSON.parse(req.body.backgroundAudioMetadata);
     } catch (error) {
       console.error('Error parsing backgroundAudioMetadata:', error);
-      return res.status(400).json({ error: 'Invalid background audio metadata format' });
+      return sendError(res, 400, 'invalid_json', 'Invalid background audio metadata format', { field: 'backgroundAudioMetadata' });
     }
   }
 
-  console.log('Starting audio processing...');
+  let mainAudioMetadata = {};
+  if (req.body.mainAudioMetadata) {
+    try {
+      mainAudioMetadata = JSON.parse(req.body.mainAudioMetadata);
+    } catch (error) {
+      return sendError(res, 400, 'invalid_json', 'Invalid main audio metadata format', { field: 'mainAudioMetadata' });
+    }
+    if (!mainAudioMetadata || typeof mainAudioMetadata !== 'object' || Array.isArray(mainAudioMetadata)) {
+      return sendError(res, 400, 'invalid_json', 'Main audio metadata must be a JSON object', { field: 'mainAudioMetadata' });
+    }
+  }
 
-  const outputFileName = `${mainAudioFileOriginalName}.aac`;
-  const finalOutputPath = path.join(publicDir, outputFileName);
+  let outputSettings;
+  try {
+    outputSettings = resolveOutputSettings(req.body.outputSettings ? JSON.parse(req.body.outputSettings) : {});
+  } catch (error) {
+    if (error instanceof OutputSettingsError) {
+      return sendError(res, 400, 'invalid_output_settings', error.message, { field: 'outputSettings' });
+    }
+    return sendError(res, 400, 'invalid_json', 'Invalid output settings format', { field: 'outputSettings' });
+  }
+
+  if (fromAssets) {
+    let backgroundAssetIds;
+    try {
+      backgroundAssetIds = JSON.parse(req.body.backgroundAssetIds || '[]');
+    } catch (error) {
+      return sendError(res, 400, 'invalid_json', 'Invalid background asset id list', { field: 'backgroundAssetIds' });
+    }
+    if (!Array.isArray(backgroundAssetIds) || backgroundAssetIds.length === 0) {
+      return sendError(res, 400, 'missing_file', 'Please pass at least one background asset id.', { field: 'backgroundAssetIds' });
+    }
 
-  processAudio(mainAudioFile.path, backgroundAudioFiles, backgroundAudioMetadata, finalOutputPath)
-    .then(() => {
-      console.log('Processing finished successfully');
-      const downloadUrl = `/download/${outputFileName}`;
-      res.json({ message: 'Audio processed successfully', downloadUrl });
+    const assetIds = [req.body.mainAssetId, ...backgroundAssetIds];
+    const missing = assetIds.findIndex(id => !assets.get(id));
+    if (missing !== -1) {
+      return sendError(res, 400, 'unknown_asset', `Unknown asset "${assetIds[missing]}"`, {
+        field: missing === 0 ? 'mainAssetId' : 'backgroundAssetIds',
+        details: { assetId: assetIds[missing], index: missing === 0 ? 0 : missing - 1 }
+      });
+    }
+    const [mainAsset, ...backgroundAssets] = assetIds.map(id => assets.get(id));
+    return queueRender(res, { mainAsset, backgroundAssets, mainAudioMetadata, backgroundAudioMetadata, outputSettings });
+  }
+
+  // Make sure every upload is something ffmpeg can actually decode before
+  // queueing any work
+  registerUploads(res, [req.files.mainAudio[0], ...req.files.backgroundAudios])
+    .then(uploaded => {
+      if (uploaded) {
+        const [mainAsset, ...backgroundAssets] = uploaded;
+        queueRender(res, { mainAsset, backgroundAssets, mainAudioMetadata, backgroundAudioMetadata, outputSettings });
+      }
     })
-    .catch(err => {
-      console.error('Error during audio processing:', err);
-      res.status(500).json({ error: 'Error processing audio: ' + err.message });
-    });
+    .catch(err => sendApiError(res, err, 'Could not queue the render'));
 });
 
+// Store audio files for later use in projects without rendering anything
+app.post('/assets', acceptUploads([{ name: 'files', maxCount: maxBackgroundUploads + 1, label: 'audio' }]), (req, res) => {
+  if (!req.files || !req.files.files) {
+    return sendError(res, 400, 'missing_file', 'Please upload at least one audio file.', { field: 'files' });
+  }
+  registerUploads(res, req.files.files)
+    .then(uploaded => {
+      if (uploaded) {
+        res.status(201).json({ assets: uploaded.map(describeAsset) });
+      }
+    })
+    .catch(err => sendApiError(res, err, 'Could not store the uploaded files'));
+});
 
-function processAudio(mainAudioPath, backgroundAudioFiles, backgroundAudioMetadata, outputPath) {
-  return new Promise((resolve, reject) => {
-    let command = ffmpeg();
+// Stored assets, newest first. `kind=upload` or `kind=render` filters them.
+app.get('/assets', requireAdminWhenSigned, (req, res) => {
+  res.json({ assets: assets.list(req.query.kind).map(describeAsset) });
+});
 
-    // Add the main audio file
-    command.input(mainAudioPath);
+app.get('/assets/:id', (req, res) => {
+  const asset = assets.get(req.params.id);
+  if (!asset) {
+    return sendError(res, 404, 'not_found', 'Asset not found');
+  }
+  res.json(describeAsset(asset));
+});
 
-    // Add the background audio files
-    backgroundAudioFiles.forEach(file => {
-      command = command.input(file.path);
-    });
+// The stored file itself, so clients can open projects on another machine
+app.get('/assets/:id/file', requireAdminWhenSigned, (req, res) => {
+  const asset = assets.get(req.params.id);
+  if (!asset) {
+    return sendError(res, 404, 'not_found', 'Asset not found');
+  }
+  // Renders are only handed out through their (possibly signed) download link
+  if (asset.kind !== 'upload') {
+    return sendError(res, 404, 'not_found', 'Asset file not found');
+  }
+  assets.touch(asset.id);
+  // Uploads are stored by content hash, so the hash is a strong validator
+  if (asset.hash) {
+    res.setHeader('ETag', `"${asset.hash}"`);
+  }
+  res.sendFile(asset.path, (err) => {
+    if (err && !res.headersSent) {
+      sendError(res, 404, 'not_found', 'Asset file not found');
+    }
+  });
+});
 
-    // Prepare complex filter
-    const filterComplex = [];
-    const backgroundMixInputs = [];
+// Validate a project body and make sure its mix settings would render
+function validateProject(body) {
+  const project = normalizeProject(body, assets);
+  try {
+    resolveOutputSettings(project.outputSettings);
+    const mainAsset = assets.get(project.mainAudio.assetId);
+    resolveClips(
+      project.backgroundAudios,
+      project.backgroundAudios.map(audio => assets.get(audio.assetId).duration),
+      mainAsset.duration
+    );
+  } catch (error) {
+    if (error instanceof OutputSettingsError || error instanceof ClipSettingsError) {
+      throw new ProjectValidationError(error.message);
+    }
+    throw error;
+  }
+  return project;
+}
 
-    // Get the duration of the main audio file
-    ffmpeg.ffprobe(mainAudioPath, (err, metadata) => {
-      if (err) {
-        console.error('FFprobe error:', err);
-        reject(err);
-        return;
-      }
+// Run `handler` and reply 400 if it throws a ProjectValidationError
+function withProjectValidation(res, handler) {
+  try {
+    return handler();
+  } catch (error) {
+    if (error instanceof ProjectValidationError) {
+      return sendError(res, 400, 'invalid_project', error.message);
+    }
+    console.error('Error handling project:', error);
+    return sendApiError(res, error, 'Could not save the project');
+  }
+}
 
-      const mainDuration = metadata.format.duration;
-      console.log('Main audio duration:', mainDuration);
+app.get('/projects', (req, res) => {
+  res.json({ projects: projects.list() });
+});
 
-      backgroundAudioFiles.forEach((file, index) => {
-        const bgMetadata = backgroundAudioMetadata[index] || {};
-        const inputIndex = index + 1;
-        const startTime = parseFloat(bgMetadata.timestamp) || 0;
-        const volume = Math.min(bgMetadata.volume || 1, 1);
+app.post('/projects', (req, res) => {
+  withProjectValidation(res, () => {
+    res.status(201).json(projects.create(validateProject(req.body)));
+  });
+});
 
-        const specifiedDuration = parseFloat(bgMetadata.duration) || (mainDuration - startTime);
-        const endTime = Math.min(startTime + specifiedDuration, mainDuration);
-        
-        const outputLabel = `bg${inputIndex}`;
+app.get('/projects/:id', (req, res) => {
+  withProjectValidation(res, () => {
+    const project = projects.get(req.params.id);
+    if (!project) {
+      return sendError(res, 404, 'not_found', 'Project not found');
+    }
+    res.json(project);
+  });
+});
 
-        console.log(`Background Audio ${inputIndex}: Start: ${startTime}s, End: ${endTime}s, Volume: ${volume}`);
+app.put('/projects/:id', (req, res) => {
+  withProjectValidation(res, () => {
+    const project = projects.update(req.params.id, validateProject(req.body));
+    if (!project) {
+      return sendError(res, 404, 'not_found', 'Project not found');
+    }
+    res.json(project);
+  });
+});
 
-        filterComplex.push(`[${inputIndex}:a]atrim=${startTime}:${endTime},asetpts=PTS-STARTPTS,volume=${volume},afade=t=out:st=${endTime-startTime-0.5}:d=0.5[${outputLabel}]`);
-        filterComplex.push(`[${outputLabel}]adelay=${startTime*1000}|${startTime*1000}[delayed${outputLabel}]`);
-        
-        backgroundMixInputs.push(`delayed${outputLabel}`);
-      });
+app.delete('/projects/:id', (req, res) => {
+  if (!projects.remove(req.params.id)) {
+    return sendError(res, 404, 'not_found', 'Project not found');
+  }
+  res.status(204).end();
+});
 
-      // Mix only the background audio streams
-      if (backgroundMixInputs.length > 0) {
-        filterComplex.push(`${backgroundMixInputs.map(a => `[${a}]`).join('')}amix=inputs=${backgroundMixInputs.length}:dropout_transition=0[bgmix]`);
-        
-        // Overlay the mixed background onto the main audio with volume control for the main audio
-        filterComplex.push(`[0:a]volume=1.0[main];[main][bgmix]amix=inputs=2:normalize=0[out]`);
-      } else {
-        // If no background audio, just use the main audio with volume control
-        filterComplex.push(`[0:a]volume=1.0[out]`);
-      }
+// Render a saved project from its stored assets
+app.post('/projects/:id/render', (req, res) => {
+  withProjectValidation(res, () => {
+    const project = projects.get(req.params.id);
+    if (!project) {
+      return sendError(res, 404, 'not_found', 'Project not found');
+    }
+    const mainAsset = assets.get(project.mainAudio.assetId);
+    const backgroundAssets = project.backgroundAudios.map(audio => assets.get(audio.assetId));
+    if (!mainAsset || backgroundAssets.some(asset => !asset)) {
+      return sendError(res, 409, 'missing_assets', 'Some of the project\'s assets no longer exist');
+    }
 
-      command
-        .complexFilter(filterComplex, 'out')
-        .audioCodec('aac')
-        .audioBitrate('128k')
-        .toFormat('adts')
-        .on('start', (commandLine) => {
-          console.log('FFmpeg command:', commandLine);
-        })
-        .on('progress', (progress) => {
-          console.log('Processing: ' + progress.percent + '% done');
-        })
-        .on('end', resolve)
-        .on('error', (err, stdout, stderr) => {
-          console.error('Error:', err);
-          console.error('FFmpeg stdout:', stdout);
-          console.error('FFmpeg stderr:', stderr);
-          reject(err);
-        })
-        .save(outputPath);
+    let outputSettings;
+    try {
+      outputSettings = resolveOutputSettings(project.outputSettings);
+    } catch (error) {
+      throw new ProjectValidationError(error.message);
+    }
+    queueRender(res, {
+      mainAsset,
+      backgroundAssets,
+      mainAudioMetadata: project.mainAudio,
+      backgroundAudioMetadata: project.backgroundAudios,
+      outputSettings,
+      projectId: project.id
     });
   });
-}
+});
+
+// Find the asset for one source of a recipe. Files from the media
+// directory are stored like uploads, or resolve to the asset that already
+// has their content.
+function recipeAsset(source) {
+  if (source.assetId) {
+    const asset = assets.get(source.assetId);
+    if (!asset) {
+      return Promise.reject(new ApiError(400, 'unknown_asset', `Unknown asset "${source.assetId}"`, {
+        field: source.field,
+        details: { assetId: source.assetId }
+      }));
+    }
+    assets.touch(asset.id);
+    return Promise.resolve(asset);
+  }
 
+  if (!recipeMediaDir) {
+    return Promise.reject(new ApiError(400, 'paths_disabled', 'This server only accepts recipes that reference assets by id', { field: source.field }));
+  }
+  let filePath;
+  try {
+    filePath = resolveRecipePath(recipeMediaDir, source.path, source.field);
+  } catch (error) {
+    return Promise.reject(new ApiError(400, 'invalid_path', error.message, { field: source.field }));
+  }
+  const name = path.basename(filePath);
 
+  return fs.promises.stat(filePath)
+    .catch(() => null)
+    .then(stats => {
+      if (!stats || !stats.isFile()) {
+        throw new ApiError(400, 'missing_file', `No file at "${source.path}"`, { field: source.field, details: { path: source.path } });
+      }
+      return hashFile(filePath).then(hash => assetForHash(hash, () => probeAudio(filePath)
+          .catch(err => {
+            throw new ApiError(415, 'unsupported_audio', `${name} is not a readable audio file`, {
+              field: source.field,
+              details: { path: source.path, reason: err.message.trim().split('\n').pop().replace(`${filePath}: `, '') }
+            });
+          })
+          .then(info => {
+            if (!(info.duration > 0)) {
+              throw new ApiError(415, 'unsupported_audio', `${name} is not a readable audio file`, {
+                field: source.field,
+                details: { path: source.path, reason: 'The file has no playable audio' }
+              });
+            }
+            return copyIntoStore(filePath, uploadsDir, hash, name)
+              .then(storedPath => addAsset(storedPath, name, 'upload', { ...info, hash, size: stats.size }));
+          })));
+    });
+}
 
+// Render a recipe sent as JSON or YAML (see recipe.schema.json). Replies
+// like /process with the queued job.
+app.post('/render', express.text({ type: YAML_TYPES, limit: '1mb' }), (req, res) => {
+  let recipe;
+  try {
+    recipe = validateRecipe(typeof req.body === 'string' ? parseRecipe(req.body) : req.body);
+  } catch (error) {
+    if (error instanceof RecipeError) {
+      return sendError(res, 400, 'invalid_recipe', error.message, { details: { problems: error.problems } });
+    }
+    throw error;
+  }
 
-// Serve files from the public directory
-app.use(express.static(publicDir));
+  const { mainAudioMetadata, backgroundAudioMetadata, outputSettings: requestedOutput } = recipeRenderSettings(recipe);
+  let outputSettings;
+  try {
+    outputSettings = resolveOutputSettings(requestedOutput);
+  } catch (error) {
+    return sendError(res, 400, 'invalid_output_settings', error.message, { field: 'outputSettings' });
+  }
 
-function getAudioDuration(filePath) {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(filePath, (err, metadata) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(metadata.format);
+  // One at a time, so a file listed twice is only stored once
+  recipeSources(recipe)
+    .reduce((chain, source) => chain.then(found => recipeAsset(source).then(asset => [...found, asset])), Promise.resolve([]))
+    .then(([mainAsset, ...backgroundAssets]) => {
+      queueRender(res, {
+        mainAsset,
+        backgroundAssets,
+        mainAudioMetadata,
+        backgroundAudioMetadata,
+        outputSettings,
+        placementField: 'backgroundAudios'
+      });
+    })
+    .catch(err => {
+      if (!(err instanceof ApiError)) {
+        console.error('Error resolving recipe files:', err);
       }
+      sendApiError(res, err, 'Could not read the recipe\'s files');
     });
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return sendError(res, 404, 'not_found', 'Job not found');
+  }
+  res.json(describeJob(job));
+});
+
+// Stream job updates as Server-Sent Events: `state`, `stage` and `progress`
+// while running, then a final `done` or `failed` event with the job result.
+app.get('/jobs/:id/events', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return sendError(res, 404, 'not_found', 'Job not found');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Always start with a snapshot so late subscribers catch up
+  send('state', describeJob(job));
+  if (job.state === 'done' || job.state === 'failed') {
+    send(job.state, describeJob(job));
+    return res.end();
+  }
+
+  const unsubscribe = jobQueue.subscribe(job.id, (event, data) => {
+    send(event, data);
+    if (event === 'done' || event === 'failed') {
+      unsubscribe();
+      res.end();
+    }
   });
+  req.on('close', unsubscribe);
+});
+
+// Render history, newest first
+app.get('/renders', requireAdminWhenSigned, (req, res) => {
+  res.json({ renders: renders.list().map(describeRenderForClient) });
+});
+
+app.get('/renders/:id', requireAdminWhenSigned, (req, res) => {
+  const render = renders.get(req.params.id);
+  if (!render) {
+    return sendError(res, 404, 'not_found', 'Render not found');
+  }
+  res.json(describeRenderForClient(render));
+});
+
+// Admin routes need `Authorization: Bearer <ADMIN_TOKEN>` and are disabled
+// when no ADMIN_TOKEN is configured
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return sendError(res, 403, 'admin_disabled', 'Admin routes are disabled');
+  }
+  // Compare digests so the check takes as long whatever was sent
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(req.get('Authorization') || ''), digest(`Bearer ${token}`))) {
+    return sendError(res, 401, 'unauthorized', 'Admin token required');
+  }
+  next();
 }
 
-// Update your download route
-app.get('/download/:filename', (req, res) => {
-  const filePath = path.join(publicDir, req.params.filename);
-  res.download(filePath, (err) => {
-    if (err) {
-      res.status(404).send('File not found');
+// Delete a render's output file and its history entry
+app.delete('/renders/:id', requireAdmin, (req, res) => {
+  const render = renders.get(req.params.id);
+  if (!render) {
+    return sendError(res, 404, 'not_found', 'Render not found');
+  }
+  if (!retention.deleteRender(render)) {
+    return sendError(res, 409, 'render_in_progress', 'Render is still in progress');
+  }
+  res.status(204).end();
+});
+
+// Waveform peaks of an asset in audiowaveform's format. `zoom` picks the
+// samples per pixel, `format=dat` returns the binary variant.
+app.get('/assets/:id/peaks', (req, res) => {
+  const asset = assets.get(req.params.id);
+  if (!asset) {
+    return sendError(res, 404, 'not_found', 'Asset not found');
+  }
+
+  let samplesPerPixel;
+  try {
+    samplesPerPixel = resolveZoom(req.query.zoom);
+  } catch (error) {
+    const message = error instanceof PeaksSettingsError ? error.message : 'Invalid zoom level';
+    return sendError(res, 400, 'invalid_zoom', message, { field: 'zoom' });
+  }
+
+  peaksCache.get(asset.id, asset.path, asset.sampleRate, samplesPerPixel)
+    .then(waveform => {
+      // Assets never change, so neither do their peaks
+      res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+      if (req.query.format === 'dat') {
+        res.type('application/octet-stream').send(waveformDat(waveform));
+      } else {
+        res.json(waveform);
+      }
+    })
+    .catch(err => {
+      console.error(`Error computing peaks for ${asset.name}:`, err);
+      sendError(res, 500, 'internal_error', 'Could not compute waveform peaks');
+    });
+});
+
+// Download a finished render by its id. Only files inside publicDir are
+// ever served, and with signing on the link must be valid and unexpired.
+app.get('/download/:renderId', (req, res) => {
+  const render = RENDER_ID_PATTERN.test(req.params.renderId) ? renders.get(req.params.renderId) : null;
+  if (!render || render.state !== 'done') {
+    return sendError(res, 404, 'not_found', 'Render not found');
+  }
+  const signatureError = downloadSigner.verify(render.id, req.query);
+  if (signatureError) {
+    return sendError(res, 403, 'invalid_signature', signatureError);
+  }
+
+  const filePath = path.resolve(render.outputPath);
+  if (path.dirname(filePath) !== publicDir) {
+    console.error(`Refusing to serve ${filePath} for render ${render.id}: outside the output directory`);
+    return sendError(res, 404, 'not_found', 'Render not found');
+  }
+
+  const outputAsset = render.outputAssetId ? assets.get(render.outputAssetId) : null;
+  const extension = path.extname(filePath).slice(1);
+  if (outputAsset) {
+    assets.touch(outputAsset.id);
+  }
+  const contentType = contentTypeForFile(filePath);
+  if (contentType) {
+    res.setHeader('Content-Type', contentType);
+  }
+  // A render's output never changes, so its id is a strong ETag. That lets
+  // players resume or seek with If-Range instead of starting over; Range
+  // requests themselves are answered by res.download with 206 responses.
+  res.setHeader('ETag', `"${render.id}"`);
+  res.download(filePath, downloadNameFor(render, extension), (err) => {
+    if (err && !res.headersSent) {
+      sendError(res, 404, 'not_found', 'File not found');
     }
   });
 });
 
+// Malformed JSON bodies get the same error shape as every other failure
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON');
+  }
+  next(err);
+});
+
 const PORT = process.env.PORT || 5001;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  retention.start();
 });
\ No newline at end of file
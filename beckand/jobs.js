@@ -0,0 +1,124 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { describeError } = require('./errors');
+
+// Simple in-memory job queue. Tasks are started in submission order and at
+// most `concurrency` of them run at the same time. Every state change is
+// published on an event emitter so clients can follow a job live.
+function createJobQueue({ concurrency = 1 } = {}) {
+  const jobs = new Map();
+  const pending = [];
+  const events = new EventEmitter();
+  let running = 0;
+
+  events.setMaxListeners(0);
+
+  function publish(job, event, data) {
+    events.emit(job.id, event, data);
+  }
+
+  function runNext() {
+    while (running < concurrency && pending.length > 0) {
+      const { job, task } = pending.shift();
+      running++;
+      job.state = 'running';
+      job.startedAt = new Date().toISOString();
+      publish(job, 'state', { state: job.state });
+
+      const reporter = {
+        setProgress: (percent, timemark) => {
+          job.percent = Math.max(0, Math.min(100, Math.round(percent * 10) / 10));
+          job.timemark = timemark || null;
+          publish(job, 'progress', { percent: job.percent, timemark: job.timemark });
+        },
+        setStage: (stage) => {
+          job.stage = stage;
+          publish(job, 'stage', { stage });
+        }
+      };
+
+      Promise.resolve()
+        .then(() => task(reporter))
+        .then(result => {
+          job.state = 'done';
+          job.percent = 100;
+          job.result = result || {};
+        })
+        .catch(err => {
+          job.state = 'failed';
+          job.error = describeError(err, 'Processing failed');
+        })
+        .finally(() => {
+          job.finishedAt = new Date().toISOString();
+          // 'failed' rather than 'error' so it can't be mistaken for
+          // EventSource's own connection error event
+          publish(job, job.state, describeJob(job));
+          running--;
+          runNext();
+        });
+    }
+  }
+
+  function enqueue(task) {
+    const job = {
+      id: uuidv4(),
+      state: 'queued',
+      stage: null,
+      percent: 0,
+      timemark: null,
+      error: null,
+      result: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    jobs.set(job.id, job);
+    pending.push({ job, task });
+    runNext();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id);
+  }
+
+  // Call `listener(event, data)` for every update of a job. Returns a
+  // function that removes the listener again.
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.removeListener(id, listener);
+  }
+
+  // Forget jobs that finished more than `maxAge` milliseconds ago. Returns
+  // how many were dropped.
+  function prune(maxAge, now = Date.now()) {
+    let pruned = 0;
+    jobs.forEach((job, id) => {
+      if (job.finishedAt && now - new Date(job.finishedAt).getTime() > maxAge) {
+        jobs.delete(id);
+        pruned++;
+      }
+    });
+    return pruned;
+  }
+
+  return { enqueue, get, subscribe, prune };
+}
+
+// Public view of a job as returned by the status endpoint
+function describeJob(job) {
+  return {
+    id: job.id,
+    state: job.state,
+    stage: job.stage,
+    percent: job.percent,
+    timemark: job.timemark,
+    error: job.error,
+    ...(job.result || {}),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+module.exports = { createJobQueue, describeJob };
@@ -0,0 +1,57 @@
+// Loudness targets for the two-pass `loudnorm` stage. `integrated` is in
+// LUFS, `truePeak` in dBTP and `lra` is the allowed loudness range in LU.
+const LOUDNESS_TARGETS = {
+  podcast: { integrated: -16, truePeak: -1.5, lra: 11 },
+  ebu: { integrated: -23, truePeak: -1, lra: 7 },
+  streaming: { integrated: -14, truePeak: -1, lra: 11 }
+};
+
+// Build a loudnorm filter for the given target. Without `measured` this is
+// the analysis pass; with the stats from that pass it normalizes linearly.
+function loudnormFilter(target, measured) {
+  const options = [`I=${target.integrated}`, `TP=${target.truePeak}`, `LRA=${target.lra}`];
+  if (measured) {
+    options.push(
+      `measured_I=${measured.input_i}`,
+      `measured_TP=${measured.input_tp}`,
+      `measured_LRA=${measured.input_lra}`,
+      `measured_thresh=${measured.input_thresh}`,
+      `offset=${measured.target_offset}`,
+      'linear=true'
+    );
+  }
+  options.push('print_format=json');
+  return `loudnorm=${options.join(':')}`;
+}
+
+// loudnorm prints its stats as a JSON object at the very end of ffmpeg's
+// stderr output
+function parseLoudnormStats(stderr) {
+  const start = stderr.lastIndexOf('{');
+  const end = stderr.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('Could not read loudness measurements from ffmpeg output');
+  }
+  return JSON.parse(stderr.slice(start, end + 1));
+}
+
+// Summarize both loudnorm passes for API responses
+function describeLoudness(target, analysis, normalization) {
+  return {
+    target: { preset: target.preset, integrated: target.integrated, truePeak: target.truePeak, lra: target.lra },
+    input: {
+      integrated: parseFloat(analysis.input_i),
+      truePeak: parseFloat(analysis.input_tp),
+      lra: parseFloat(analysis.input_lra),
+      threshold: parseFloat(analysis.input_thresh)
+    },
+    output: {
+      integrated: parseFloat(normalization.output_i),
+      truePeak: parseFloat(normalization.output_tp),
+      lra: parseFloat(normalization.output_lra)
+    },
+    normalizationType: normalization.normalization_type
+  };
+}
+
+module.exports = { LOUDNESS_TARGETS, loudnormFilter, parseLoudnormStats, describeLoudness };
@@ -0,0 +1,91 @@
+// Processing chain for the main (voice) track, applied in this order:
+// high-pass filter, FFT noise reduction, parametric EQ, de-esser,
+// compressor and finally the track volume. Stages other than the volume
+// and EQ only run when `enabled`.
+//
+// Frequencies are in Hz, gains and levels in dB, times in ms. The de-esser
+// settings are fractions from 0 to 1 as ffmpeg's deesser takes them.
+const MAIN_CHAIN_DEFAULTS = {
+  volume: 1,
+  highpass: { enabled: false, frequency: 80 },
+  eq: [],
+  denoise: { enabled: false, reduction: 12, noiseFloor: -50 },
+  deesser: { enabled: false, intensity: 0.5, maxReduction: 0.5, frequency: 0.5 },
+  compressor: { enabled: false, threshold: -18, ratio: 3, attack: 10, release: 150, makeup: 3 }
+};
+const EQ_BAND_DEFAULTS = { frequency: 1000, gain: 0, q: 1 };
+const MAX_EQ_BANDS = 8;
+
+const MAIN_CHAIN_LIMITS = {
+  volume: [0, 1],
+  highpass: { frequency: [20, 500] },
+  eq: { frequency: [20, 20000], gain: [-24, 24], q: [0.1, 10] },
+  denoise: { reduction: [0.01, 97], noiseFloor: [-80, -20] },
+  deesser: { intensity: [0, 1], maxReduction: [0, 1], frequency: [0, 1] },
+  compressor: { threshold: [-60, 0], ratio: [1, 20], attack: [0.01, 2000], release: [0.01, 9000], makeup: [0, 24] }
+};
+
+// Every number of `defaults` taken from `values` and clamped into `limits`
+const clampSettings = (values = {}, defaults, limits) => {
+  const resolved = {};
+  Object.keys(limits).forEach(key => {
+    const [min, max] = limits[key];
+    const value = parseFloat(values[key]);
+    resolved[key] = isNaN(value) ? defaults[key] : Math.max(min, Math.min(value, max));
+  });
+  return resolved;
+};
+
+const resolveStage = (values, name) => ({
+  enabled: Boolean(values && values.enabled),
+  ...clampSettings(values, MAIN_CHAIN_DEFAULTS[name], MAIN_CHAIN_LIMITS[name])
+});
+
+// Normalize the main track metadata sent by a client. Missing settings get
+// their defaults, so an empty object leaves the track untouched.
+function resolveMainChain(metadata) {
+  // Missing and null metadata both mean the defaults
+  metadata = metadata || {};
+  const volume = parseFloat(metadata.volume);
+  const [minVolume, maxVolume] = MAIN_CHAIN_LIMITS.volume;
+  return {
+    volume: isNaN(volume) ? MAIN_CHAIN_DEFAULTS.volume : Math.max(minVolume, Math.min(volume, maxVolume)),
+    highpass: resolveStage(metadata.highpass, 'highpass'),
+    eq: (Array.isArray(metadata.eq) ? metadata.eq : [])
+      .slice(0, MAX_EQ_BANDS)
+      .map(band => clampSettings(band, EQ_BAND_DEFAULTS, MAIN_CHAIN_LIMITS.eq)),
+    denoise: resolveStage(metadata.denoise, 'denoise'),
+    deesser: resolveStage(metadata.deesser, 'deesser'),
+    compressor: resolveStage(metadata.compressor, 'compressor')
+  };
+}
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// ffmpeg filters for a resolved chain, to be joined with commas
+function mainChainFilters(chain) {
+  const filters = [];
+  if (chain.highpass.enabled) {
+    filters.push(`highpass=f=${chain.highpass.frequency}`);
+  }
+  if (chain.denoise.enabled) {
+    filters.push(`afftdn=nr=${chain.denoise.reduction}:nf=${chain.denoise.noiseFloor}`);
+  }
+  chain.eq
+    .filter(band => band.gain !== 0)
+    .forEach(band => filters.push(`equalizer=f=${band.frequency}:t=q:w=${band.q}:g=${band.gain}`));
+  if (chain.deesser.enabled) {
+    const { intensity, maxReduction, frequency } = chain.deesser;
+    filters.push(`deesser=i=${intensity}:m=${maxReduction}:f=${frequency}`);
+  }
+  if (chain.compressor.enabled) {
+    const { threshold, ratio, attack, release, makeup } = chain.compressor;
+    // acompressor takes the threshold and makeup as linear factors
+    const linearThreshold = Math.max(dbToGain(threshold), 0.000976563);
+    filters.push(`acompressor=threshold=${linearThreshold.toFixed(6)}:ratio=${ratio}:attack=${attack}:release=${release}:makeup=${dbToGain(makeup).toFixed(4)}`);
+  }
+  filters.push(`volume=${chain.volume}`);
+  return filters;
+}
+
+module.exports = { MAIN_CHAIN_DEFAULTS, resolveMainChain, mainChainFilters };
@@ -0,0 +1,255 @@
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegStatic = require('ffmpeg-static');
+const ffprobeStatic = require('ffprobe-static');
+const { applyOutputSettings } = require('./outputFormats');
+const { loudnormFilter, parseLoudnormStats, describeLoudness } = require('./loudness');
+const { sidechainFilter } = require('./ducking');
+const { mainChainFilters } = require('./mainChain');
+const { clipEffectFilters } = require('./clipEffects');
+const { needsLoop, loopFilters, fadeFilters, envelopeFilter } = require('./clips');
+
+// The mixing engine shared by the server and the command-line renderer:
+// builds the filter graph for a resolved main chain and clips and runs it
+// through ffmpeg. Everything it logs goes through `log`.
+
+// Set the FFmpeg and FFprobe paths
+ffmpeg.setFfmpegPath(ffmpegStatic);
+ffmpeg.setFfprobePath(ffprobeStatic.path);
+
+// Convert an ffmpeg timemark (HH:MM:SS.xx) to seconds
+function timemarkToSeconds(timemark) {
+  const [hours, minutes, seconds] = timemark.split(':').map(parseFloat);
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+// Build the filter graph that runs the main track through its processing
+// chain and mixes every background clip under it. The mixed stream is left
+// on the `outputLabel` pad.
+function buildMixFilters(mainChain, clips, outputLabel, log = console.log) {
+  const filterComplex = [];
+  const backgroundMixInputs = [];
+  const sidechainLabels = [];
+
+  // A file placed more than once is split into one stream per placement
+  const clipInputs = {};
+  const clipsByAsset = {};
+  clips.forEach(clip => {
+    (clipsByAsset[clip.asset] = clipsByAsset[clip.asset] || []).push(clip);
+  });
+  Object.entries(clipsByAsset).forEach(([asset, assetClips]) => {
+    const input = `${Number(asset) + 1}:a`;
+    if (assetClips.length === 1) {
+      clipInputs[assetClips[0].label] = input;
+      return;
+    }
+    assetClips.forEach(clip => {
+      clipInputs[clip.label] = `src${clip.label}`;
+    });
+    filterComplex.push(`[${input}]asplit=${assetClips.length}${assetClips.map(clip => `[src${clip.label}]`).join('')}`);
+  });
+
+  clips.forEach(clip => {
+    const { startTime, endTime, sourceStart, volume } = clip;
+    const sourceEnd = sourceStart + (endTime - startTime);
+    const bgLabel = clip.label;
+
+    log(`Background Audio ${bgLabel}: Start: ${startTime}s, End: ${endTime}s, Source: ${sourceStart}s-${sourceEnd}s, Volume: ${volume}`);
+
+    let clipInput = clipInputs[bgLabel];
+    let trimFilter = `atrim=${sourceStart}:${sourceEnd}`;
+    if (needsLoop(clip)) {
+      // Repeat the source first, then cut the clip out of the repeats
+      log(`Background Audio ${bgLabel}: Looping ${clip.loop.segment}s of source with ${clip.loop.crossfade}s crossfade`);
+      filterComplex.push(...loopFilters(clip, clipInput, `looped${bgLabel}`));
+      clipInput = `looped${bgLabel}`;
+      trimFilter = `atrim=0:${endTime - startTime}`;
+    }
+
+    const clipFilters = [trimFilter, 'asetpts=PTS-STARTPTS', `volume=${volume}`];
+    if (clip.envelope) {
+      clipFilters.push(envelopeFilter(clip.envelope));
+    }
+    clipFilters.push(...clipEffectFilters(clip.effects), ...fadeFilters(clip));
+    filterComplex.push(`[${clipInput}]${clipFilters.join(',')}[${bgLabel}]`);
+    filterComplex.push(`[${bgLabel}]adelay=${startTime*1000}|${startTime*1000}[delayed${bgLabel}]`);
+
+    const duck = clip.duck;
+    if (duck) {
+      // Compress the clip using a copy of the main track as the sidechain
+      const sidechainLabel = `sc${bgLabel}`;
+      sidechainLabels.push(sidechainLabel);
+      log(`Background Audio ${bgLabel}: Ducking under main track`, duck);
+      // Both inputs have to end together or sidechaincompress stalls the graph
+      filterComplex.push(`[${sidechainLabel}]atrim=end=${endTime}[trimmed${sidechainLabel}]`);
+      filterComplex.push(`[delayed${bgLabel}][trimmed${sidechainLabel}]${sidechainFilter(duck)}[ducked${bgLabel}]`);
+      backgroundMixInputs.push(`ducked${bgLabel}`);
+    } else {
+      backgroundMixInputs.push(`delayed${bgLabel}`);
+    }
+  });
+
+  // Ducked clips each need their own copy of the processed main track, so
+  // they duck under what is actually heard
+  const mainFilters = mainChainFilters(mainChain).join(',');
+  log(`Main audio chain: ${mainFilters}`);
+  const mainFilter = sidechainLabels.length > 0
+    ? `[0:a]${mainFilters},asplit=${sidechainLabels.length + 1}[main]${sidechainLabels.map(l => `[${l}]`).join('')}`
+    : `[0:a]${mainFilters}[main]`;
+
+  // Mix only the background audio streams. Without normalize=0 amix would
+  // scale every clip by the number of inputs, so overlapping clips would get
+  // quieter than their own volume.
+  if (backgroundMixInputs.length > 0) {
+    filterComplex.push(`${backgroundMixInputs.map(a => `[${a}]`).join('')}amix=inputs=${backgroundMixInputs.length}:dropout_transition=0:normalize=0[bgmix]`);
+
+    // Overlay the mixed background onto the main audio with volume control for the main audio
+    filterComplex.push(`${mainFilter};[main][bgmix]amix=inputs=2:normalize=0[${outputLabel}]`);
+  } else {
+    // If no background audio, just use the processed main audio
+    filterComplex.push(`[0:a]${mainFilters}[${outputLabel}]`);
+  }
+
+  return filterComplex;
+}
+
+// An ffmpeg command over the main file followed by the background files.
+// The mix comes out of `mixFilters` on the `mix` pad and, with
+// `finalFilter`, runs through that before being written.
+function mixCommand(inputPaths, mixFilters, finalFilter) {
+  const command = ffmpeg();
+  inputPaths.forEach(inputPath => command.input(inputPath));
+  return finalFilter
+    ? command.complexFilter([...mixFilters, `[mix]${finalFilter}[out]`], 'out')
+    : command.complexFilter(mixFilters, 'mix');
+}
+
+// The first loudness pass only measures the finished mix
+function analysisCommand(inputPaths, mixFilters, loudness) {
+  return mixCommand(inputPaths, mixFilters, loudnormFilter(loudness)).format('null');
+}
+
+// The pass that writes the output. With loudness normalization it applies
+// the `analysis` of the first pass, or loudnorm's one-pass mode without it.
+function encodeCommand(inputPaths, mixFilters, outputSettings, mainSampleRate, analysis) {
+  const loudness = outputSettings.loudness;
+  // loudnorm works at 192 kHz internally, so resample back afterwards
+  const command = loudness
+    ? mixCommand(inputPaths, mixFilters, `${loudnormFilter(loudness, analysis)},aresample=${outputSettings.sampleRate || mainSampleRate}`)
+    : mixCommand(inputPaths, mixFilters);
+  return applyOutputSettings(command, outputSettings);
+}
+
+// Run a prepared ffmpeg command, writing to `target`. Progress is reported
+// as a percentage of `duration`. Resolves with ffmpeg's stderr output.
+function runFfmpeg(command, target, duration, onProgress, onStart, log = console.log) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('start', (commandLine) => {
+        log('FFmpeg command:', commandLine);
+        onStart(commandLine);
+      })
+      .on('progress', (progress) => {
+        // fluent-ffmpeg's own percent is based on the first input only, so
+        // derive it from the output position instead
+        const percent = duration > 0 ? (timemarkToSeconds(progress.timemark) / duration) * 100 : 0;
+        log('Processing: ' + percent.toFixed(1) + '% done');
+        onProgress(percent, progress.timemark);
+      })
+      .on('end', (stdout, stderr) => resolve(stderr))
+      .on('error', (err, stdout, stderr) => {
+        log('FFmpeg error:', err.message);
+        log('FFmpeg stdout:', stdout);
+        log('FFmpeg stderr:', stderr);
+        reject(err);
+      })
+      .save(target);
+  });
+}
+
+// `reporter` is optional and receives stage changes ("probing", "mixing",
+// "analyzing", "encoding"), progress updates, every ffmpeg command line
+// (`addCommand`) and log messages (`log`) while the mix is rendered.
+// Resolves with extra result fields, e.g. loudness measurements.
+function processAudio(mainAudioPath, backgroundAudioFiles, mainChain, clips, outputPath, outputSettings, reporter = {}) {
+  const setStage = reporter.setStage || (() => {});
+  const setProgress = reporter.setProgress || (() => {});
+  const addCommand = reporter.addCommand || (() => {});
+  const log = reporter.log || console.log;
+  const loudness = outputSettings.loudness;
+  const inputPaths = [mainAudioPath, ...backgroundAudioFiles.map(file => file.path)];
+
+  // With loudness normalization ffmpeg runs twice, each pass counts for half
+  const passes = loudness ? 2 : 1;
+  const passProgress = (pass) => (percent, timemark) => setProgress((pass * 100 + percent) / passes, timemark);
+
+  // Get the duration of the main audio file
+  setStage('probing');
+  return probeAudio(mainAudioPath).then(mainInfo => {
+    const mainDuration = mainInfo.duration;
+    log('Main audio duration:', mainDuration);
+    setStage('mixing');
+    const mixFilters = buildMixFilters(mainChain, clips, 'mix', log);
+
+    if (!loudness) {
+      setStage('encoding');
+      return runFfmpeg(encodeCommand(inputPaths, mixFilters, outputSettings, mainInfo.sampleRate), outputPath, mainDuration, passProgress(0), addCommand, log)
+        .then(() => ({}));
+    }
+
+    setStage('analyzing');
+    return runFfmpeg(analysisCommand(inputPaths, mixFilters, loudness), '-', mainDuration, passProgress(0), addCommand, log)
+      .then(stderr => {
+        const analysis = parseLoudnormStats(stderr);
+        log(`Measured loudness: ${analysis.input_i} LUFS, LRA ${analysis.input_lra} LU, true peak ${analysis.input_tp} dBTP`);
+
+        setStage('encoding');
+        const command = encodeCommand(inputPaths, mixFilters, outputSettings, mainInfo.sampleRate, analysis);
+        return runFfmpeg(command, outputPath, mainDuration, passProgress(1), addCommand, log)
+          .then(stderr => ({ loudness: describeLoudness(loudness, analysis, parseLoudnormStats(stderr)) }));
+      });
+  });
+}
+
+// The ffmpeg argument lists processAudio would run, without running them.
+// The encoding pass of a loudness-normalized mix depends on what the first
+// pass measures, so it's listed with loudnorm's one-pass settings.
+function mixCommandArguments(mainAudioPath, backgroundAudioFiles, mainChain, clips, outputPath, outputSettings, mainSampleRate, log = console.log) {
+  const inputPaths = [mainAudioPath, ...backgroundAudioFiles.map(file => file.path)];
+  const mixFilters = buildMixFilters(mainChain, clips, 'mix', log);
+  const commands = [];
+  if (outputSettings.loudness) {
+    commands.push(analysisCommand(inputPaths, mixFilters, outputSettings.loudness).output('-'));
+  }
+  commands.push(encodeCommand(inputPaths, mixFilters, outputSettings, mainSampleRate).output(outputPath));
+  // fluent-ffmpeg builds the same list when it runs a command
+  return commands.map(command => command._getArguments());
+}
+
+// Probe a file with ffprobe and describe its first audio stream. Rejects when
+// ffprobe can't read the file or it contains no audio.
+function probeAudio(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const stream = metadata.streams.find(s => s.codec_type === 'audio');
+      if (!stream) {
+        reject(new Error('No audio stream found'));
+        return;
+      }
+
+      resolve({
+        format: metadata.format.format_name,
+        codec: stream.codec_name,
+        sampleRate: parseInt(stream.sample_rate, 10),
+        channels: stream.channels,
+        duration: parseFloat(metadata.format.duration) || parseFloat(stream.duration) || 0
+      });
+    });
+  });
+}
+
+module.exports = { buildMixFilters, processAudio, mixCommandArguments, probeAudio };
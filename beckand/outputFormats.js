@@ -0,0 +1,125 @@
+const { LOUDNESS_TARGETS } = require('./loudness');
+
+// Output containers the mixer can render to. `container` is the ffmpeg muxer
+// name, `vbr` marks codecs that accept a `quality` instead of a bitrate.
+const OUTPUT_FORMATS = {
+  aac: { extension: 'aac', container: 'adts', codec: 'aac', contentType: 'audio/aac', defaultBitrate: '128k' },
+  m4a: { extension: 'm4a', container: 'ipod', codec: 'aac', contentType: 'audio/mp4', defaultBitrate: '192k' },
+  mp3: { extension: 'mp3', container: 'mp3', codec: 'libmp3lame', contentType: 'audio/mpeg', defaultBitrate: '192k', vbr: true },
+  wav: { extension: 'wav', container: 'wav', codec: 'pcm_s16le', contentType: 'audio/wav', lossless: true },
+  flac: { extension: 'flac', container: 'flac', codec: 'flac', contentType: 'audio/flac', lossless: true },
+  ogg: { extension: 'ogg', container: 'ogg', codec: 'libvorbis', contentType: 'audio/ogg', defaultBitrate: '160k', vbr: true },
+  opus: { extension: 'opus', container: 'opus', codec: 'libopus', contentType: 'audio/ogg; codecs=opus', defaultBitrate: '96k' }
+};
+
+const SAMPLE_RATES = [8000, 16000, 22050, 24000, 32000, 44100, 48000, 88200, 96000];
+// libopus only encodes at these rates
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+const CHANNEL_LAYOUTS = { mono: 1, stereo: 2 };
+
+class OutputSettingsError extends Error {}
+
+// Validate the output settings sent by a client and fill in defaults.
+// Throws OutputSettingsError describing the first invalid field.
+function resolveOutputSettings(settings = {}) {
+  const formatName = (settings.format || 'aac').toLowerCase();
+  const format = OUTPUT_FORMATS[formatName];
+  if (!format) {
+    throw new OutputSettingsError(`Unsupported output format "${settings.format}". Use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  const resolved = { name: formatName, ...format, bitrate: null, quality: null, sampleRate: null, channels: null, loudness: null };
+
+  if (!format.lossless) {
+    if (settings.bitrate) {
+      const kbps = parseInt(settings.bitrate, 10);
+      if (!(kbps >= 32 && kbps <= 512)) {
+        throw new OutputSettingsError('Bitrate must be between 32k and 512k');
+      }
+      resolved.bitrate = `${kbps}k`;
+    } else if (settings.quality !== undefined && settings.quality !== null && settings.quality !== '') {
+      const quality = parseFloat(settings.quality);
+      if (!format.vbr) {
+        throw new OutputSettingsError(`The ${formatName} format does not support a quality setting, use a bitrate instead`);
+      }
+      if (!(quality >= 0 && quality <= 10)) {
+        throw new OutputSettingsError('Quality must be between 0 and 10');
+      }
+      resolved.quality = quality;
+    } else {
+      resolved.bitrate = format.defaultBitrate;
+    }
+  }
+
+  if (settings.sampleRate) {
+    const sampleRate = parseInt(settings.sampleRate, 10);
+    const allowed = formatName === 'opus' ? OPUS_SAMPLE_RATES : SAMPLE_RATES;
+    if (!allowed.includes(sampleRate)) {
+      throw new OutputSettingsError(`Sample rate for ${formatName} must be one of: ${allowed.join(', ')}`);
+    }
+    resolved.sampleRate = sampleRate;
+  }
+
+  if (settings.channels) {
+    if (!CHANNEL_LAYOUTS[settings.channels]) {
+      throw new OutputSettingsError(`Channel layout must be one of: ${Object.keys(CHANNEL_LAYOUTS).join(', ')}`);
+    }
+    resolved.channels = CHANNEL_LAYOUTS[settings.channels];
+  }
+
+  if (settings.loudness && settings.loudness.target) {
+    const preset = settings.loudness.target;
+    if (!LOUDNESS_TARGETS[preset]) {
+      throw new OutputSettingsError(`Loudness target must be one of: ${Object.keys(LOUDNESS_TARGETS).join(', ')}`);
+    }
+    resolved.loudness = { preset, ...LOUDNESS_TARGETS[preset] };
+
+    const truePeak = settings.loudness.truePeak;
+    if (truePeak !== undefined && truePeak !== null && truePeak !== '') {
+      const ceiling = parseFloat(truePeak);
+      if (!(ceiling >= -9 && ceiling <= 0)) {
+        throw new OutputSettingsError('True-peak ceiling must be between -9 and 0 dBTP');
+      }
+      resolved.loudness.truePeak = ceiling;
+    }
+  }
+
+  return resolved;
+}
+
+// Apply resolved output settings to a fluent-ffmpeg command
+function applyOutputSettings(command, output) {
+  command.audioCodec(output.codec).toFormat(output.container);
+  if (output.bitrate) {
+    command.audioBitrate(output.bitrate);
+  }
+  if (output.quality !== null) {
+    command.audioQuality(output.quality);
+  }
+  if (output.sampleRate) {
+    command.audioFrequency(output.sampleRate);
+  }
+  if (output.channels) {
+    command.audioChannels(output.channels);
+  }
+  if (output.container === 'ipod') {
+    // Put the index up front so players can start before the download ends
+    command.outputOptions('-movflags', '+faststart');
+  }
+  return command;
+}
+
+// Content-Type for a rendered file, based on its extension
+function contentTypeForFile(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  const format = Object.values(OUTPUT_FORMATS).find(f => f.extension === extension);
+  return format ? format.contentType : null;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  OutputSettingsError,
+  resolveOutputSettings,
+  applyOutputSettings,
+  contentTypeForFile
+};
@@ -0,0 +1,189 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+
+// Zoom levels in samples per pixel, finest first. Coarser levels are merged
+// from the finest one instead of decoding the file again.
+const ZOOM_LEVELS = [256, 512, 1024, 2048, 4096, 8192];
+
+class PeaksSettingsError extends Error {}
+
+// Decode a file to mono 16-bit PCM and reduce it to min/max pairs at the
+// finest zoom level as ffmpeg's output streams in
+function measurePeaks(filePath, sampleRate) {
+  const samplesPerPixel = ZOOM_LEVELS[0];
+  const data = [];
+  let min = 0;
+  let max = 0;
+  let count = 0;
+  let leftover = null;
+
+  const command = ffmpeg(filePath)
+    .noVideo()
+    .audioChannels(1)
+    .audioFrequency(sampleRate)
+    .audioCodec('pcm_s16le')
+    .format('s16le');
+
+  // The output can end before ffmpeg reports a failure, so wait for both
+  const decoded = new Promise((resolve, reject) => {
+    command.on('error', reject).on('end', resolve);
+  });
+  const read = new Promise((resolve, reject) => {
+    command.pipe()
+      .on('data', chunk => {
+        if (leftover) {
+          chunk = Buffer.concat([leftover, chunk]);
+          leftover = null;
+        }
+        const usable = chunk.length - (chunk.length % 2);
+        for (let i = 0; i < usable; i += 2) {
+          const sample = chunk.readInt16LE(i);
+          if (count === 0) {
+            min = sample;
+            max = sample;
+          } else if (sample < min) {
+            min = sample;
+          } else if (sample > max) {
+            max = sample;
+          }
+          if (++count === samplesPerPixel) {
+            data.push(min, max);
+            count = 0;
+          }
+        }
+        if (usable < chunk.length) {
+          leftover = chunk.subarray(usable);
+        }
+      })
+      .on('error', reject)
+      .on('end', resolve);
+  });
+
+  return Promise.all([decoded, read]).then(() => {
+    if (count > 0) {
+      data.push(min, max);
+    }
+    return data;
+  });
+}
+
+// Merge neighbouring min/max pairs of the finest level into a coarser one
+function mergePeaks(data, factor) {
+  const merged = [];
+  for (let i = 0; i < data.length; i += factor * 2) {
+    let min = data[i];
+    let max = data[i + 1];
+    for (let j = i + 2; j < Math.min(i + factor * 2, data.length); j += 2) {
+      min = Math.min(min, data[j]);
+      max = Math.max(max, data[j + 1]);
+    }
+    merged.push(min, max);
+  }
+  return merged;
+}
+
+// Peaks of one zoom level in the JSON format written by audiowaveform
+// (version 2, mono, 16 bits), which peaks.js reads directly
+function waveformData(sampleRate, samplesPerPixel, data) {
+  return {
+    version: 2,
+    channels: 1,
+    sample_rate: sampleRate,
+    samples_per_pixel: samplesPerPixel,
+    bits: 16,
+    length: data.length / 2,
+    data
+  };
+}
+
+// The same data in audiowaveform's binary .dat format (version 1)
+function waveformDat(waveform) {
+  const header = 20;
+  const buffer = Buffer.alloc(header + waveform.data.length * 2);
+  buffer.writeInt32LE(1, 0);
+  // Flags: 0 means 16-bit values
+  buffer.writeUInt32LE(0, 4);
+  buffer.writeInt32LE(waveform.sample_rate, 8);
+  buffer.writeInt32LE(waveform.samples_per_pixel, 12);
+  buffer.writeUInt32LE(waveform.length, 16);
+  waveform.data.forEach((value, i) => buffer.writeInt16LE(value, header + i * 2));
+  return buffer;
+}
+
+// Parse the `zoom` query parameter into a supported samples-per-pixel value
+function resolveZoom(zoom) {
+  if (zoom === undefined || zoom === '') {
+    return ZOOM_LEVELS[0];
+  }
+  const samplesPerPixel = parseInt(zoom, 10);
+  if (!ZOOM_LEVELS.includes(samplesPerPixel)) {
+    throw new PeaksSettingsError(`Zoom must be one of: ${ZOOM_LEVELS.join(', ')}`);
+  }
+  return samplesPerPixel;
+}
+
+// Computes peaks for files once and caches every zoom level as JSON in
+// `cacheDir`. Requests for a file that is still being measured share the
+// same run, and at most `concurrency` files are decoded at the same time.
+function createPeaksCache({ cacheDir, concurrency = 1 }) {
+  const running = new Map();
+  const waiting = [];
+  let active = 0;
+
+  // Start queued measurements while there is room
+  function startNext() {
+    while (active < concurrency && waiting.length > 0) {
+      const { filePath, sampleRate, resolve, reject } = waiting.shift();
+      active++;
+      measurePeaks(filePath, sampleRate)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          startNext();
+        });
+    }
+  }
+
+  function schedule(filePath, sampleRate) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ filePath, sampleRate, resolve, reject });
+      startNext();
+    });
+  }
+
+  const cachePath = (id, samplesPerPixel) => path.join(cacheDir, `${id}-${samplesPerPixel}.json`);
+
+  function generate(id, filePath, sampleRate) {
+    if (!running.has(id)) {
+      const run = schedule(filePath, sampleRate)
+        .then(data => {
+          ZOOM_LEVELS.forEach(samplesPerPixel => {
+            const factor = samplesPerPixel / ZOOM_LEVELS[0];
+            const levelData = factor === 1 ? data : mergePeaks(data, factor);
+            fs.writeFileSync(cachePath(id, samplesPerPixel), JSON.stringify(waveformData(sampleRate, samplesPerPixel, levelData)));
+          });
+        })
+        .finally(() => running.delete(id));
+      running.set(id, run);
+    }
+    return running.get(id);
+  }
+
+  // Resolves with the waveform data of one zoom level, generating the cache
+  // first if needed
+  function get(id, filePath, sampleRate, samplesPerPixel) {
+    const file = cachePath(id, samplesPerPixel);
+    const ready = fs.existsSync(file) ? Promise.resolve() : generate(id, filePath, sampleRate);
+    return ready.then(() => JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  // Drop every cached zoom level of a file
+  function remove(id) {
+    ZOOM_LEVELS.forEach(samplesPerPixel => fs.rmSync(cachePath(id, samplesPerPixel), { force: true }));
+  }
+
+  return { generate, get, remove };
+}
+
+module.exports = { ZOOM_LEVELS, PeaksSettingsError, resolveZoom, createPeaksCache, waveformDat };
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { resolveMainChain } = require('./mainChain');
+
+// Bump this when the stored document changes shape, and add a migration
+// that upgrades documents of the previous version
+const PROJECT_SCHEMA_VERSION = 1;
+
+// Each migration upgrades a document from version `n` to `n + 1`. Version
+// 1 is the first, so there are none yet.
+const MIGRATIONS = {};
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class ProjectValidationError extends Error {}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// The output settings a client may store; see resolveOutputSettings
+const OUTPUT_SETTING_FIELDS = ['format', 'bitrate', 'quality', 'sampleRate', 'channels', 'loudness'];
+
+// Upgrade a stored or submitted project to the current schema version
+function migrateProject(project) {
+  let version = project.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ProjectValidationError('schemaVersion must be a positive integer');
+  }
+  if (version > PROJECT_SCHEMA_VERSION) {
+    throw new ProjectValidationError(`Project schema version ${version} is newer than this server supports (${PROJECT_SCHEMA_VERSION})`);
+  }
+
+  let migrated = project;
+  while (version < PROJECT_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.schemaVersion;
+  }
+  return migrated;
+}
+
+// Check a project sent by a client and keep only the fields we store.
+// Every referenced asset has to exist in `assets`. Throws
+// ProjectValidationError describing the first problem.
+function normalizeProject(body, assets) {
+  if (!isObject(body)) {
+    throw new ProjectValidationError('Project must be a JSON object');
+  }
+  const project = migrateProject(body);
+
+  const requireAsset = (assetId, field) => {
+    if (!assetId || !assets.get(assetId)) {
+      throw new ProjectValidationError(`${field} refers to an unknown asset "${assetId}"`);
+    }
+    return assetId;
+  };
+
+  if (!isObject(project.mainAudio)) {
+    throw new ProjectValidationError('Project needs a main audio asset');
+  }
+  // The volume and processing chain of the main track
+  const mainAudio = {
+    assetId: requireAsset(project.mainAudio.assetId, 'mainAudio'),
+    ...resolveMainChain(project.mainAudio)
+  };
+
+  if (!Array.isArray(project.backgroundAudios)) {
+    throw new ProjectValidationError('backgroundAudios must be a list');
+  }
+  const backgroundAudios = project.backgroundAudios.map((audio, index) => {
+    const field = `backgroundAudios[${index}]`;
+    if (!isObject(audio) || !Array.isArray(audio.placements) || audio.placements.length === 0) {
+      throw new ProjectValidationError(`${field} needs at least one placement`);
+    }
+    const badPlacement = audio.placements.findIndex(placement => !isObject(placement));
+    if (badPlacement !== -1) {
+      throw new ProjectValidationError(`${field}.placements[${badPlacement}] must be an object`);
+    }
+    return { assetId: requireAsset(audio.assetId, field), placements: audio.placements };
+  });
+
+  const requestedOutput = project.outputSettings === undefined ? {} : project.outputSettings;
+  if (!isObject(requestedOutput)) {
+    throw new ProjectValidationError('outputSettings must be an object');
+  }
+  const outputSettings = {};
+  OUTPUT_SETTING_FIELDS
+    .filter(key => requestedOutput[key] !== undefined)
+    .forEach(key => {
+      outputSettings[key] = requestedOutput[key];
+    });
+
+  return {
+    schemaVersion: PROJECT_SCHEMA_VERSION,
+    name: typeof project.name === 'string' && project.name.trim() ? project.name.trim() : 'Untitled project',
+    mainAudio,
+    backgroundAudios,
+    outputSettings
+  };
+}
+
+// Projects are stored as one JSON document per file in `dir`
+function createProjectStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const filePath = (id) => path.join(dir, `${id}.json`);
+
+  function write(project) {
+    fs.writeFileSync(filePath(project.id), JSON.stringify(project, null, 2));
+    return project;
+  }
+
+  function get(id) {
+    if (!ID_PATTERN.test(id) || !fs.existsSync(filePath(id))) {
+      return null;
+    }
+    return migrateProject(JSON.parse(fs.readFileSync(filePath(id), 'utf8')));
+  }
+
+  // Summaries of every project, most recently changed first. Files that
+  // can't be read are logged and left out.
+  function list() {
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        try {
+          return get(path.basename(name, '.json'));
+        } catch (err) {
+          console.error(`Skipping unreadable project ${name}:`, err.message);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  function create(project) {
+    const now = new Date().toISOString();
+    return write({ id: uuidv4(), ...project, createdAt: now, updatedAt: now });
+  }
+
+  // Replace a project's content. Returns null if it doesn't exist.
+  function update(id, project) {
+    const existing = get(id);
+    if (!existing) {
+      return null;
+    }
+    return write({ id, ...project, createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+  }
+
+  function remove(id) {
+    if (!get(id)) {
+      return false;
+    }
+    fs.unlinkSync(filePath(id));
+    return true;
+  }
+
+  return { list, get, create, update, remove };
+}
+
+module.exports = { PROJECT_SCHEMA_VERSION, ProjectValidationError, normalizeProject, createProjectStore };
@@ -0,0 +1,93 @@
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+const recipeSchema = require('./recipe.schema.json');
+
+// Content types a recipe may be sent as besides JSON
+const YAML_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'];
+
+const validate = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(recipeSchema);
+
+// A recipe that can't be parsed or doesn't match the schema. `problems`
+// lists every mismatch as `{ path, message }`.
+class RecipeError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.problems = problems;
+  }
+}
+
+// One of Ajv's errors as a path into the recipe and a readable message
+const describeProblem = (error) => {
+  const location = error.instancePath.slice(1) || 'recipe';
+  let message = error.message;
+  if (error.params.allowedValue !== undefined) {
+    message += `: ${error.params.allowedValue}`;
+  } else if (error.params.allowedValues) {
+    message += `: ${error.params.allowedValues.join(', ')}`;
+  } else if (error.params.additionalProperty) {
+    message += ` ("${error.params.additionalProperty}")`;
+  }
+  return { path: location, message };
+};
+
+// Parse a recipe from YAML or JSON text. YAML is a superset of JSON, so
+// one parser reads both.
+function parseRecipe(text) {
+  try {
+    return YAML.parse(text);
+  } catch (err) {
+    throw new RecipeError(`Recipe is not valid JSON or YAML: ${err.message.split('\n')[0].replace(/:$/, '')}`);
+  }
+}
+
+// Check a parsed recipe against the schema. Throws RecipeError with every
+// problem found.
+function validateRecipe(recipe) {
+  if (!validate(recipe)) {
+    const problems = validate.errors.map(describeProblem);
+    throw new RecipeError(`Invalid recipe: ${problems[0].path} ${problems[0].message}`, problems);
+  }
+  return recipe;
+}
+
+// The files a recipe uses, main track first, each as `{ assetId }` or
+// `{ path }` with the recipe field it came from
+function recipeSources(recipe) {
+  const source = ({ assetId, path: filePath }, field) => assetId ? { assetId, field } : { path: filePath, field };
+  return [
+    source(recipe.mainAudio, 'mainAudio'),
+    ...recipe.backgroundAudios.map((audio, index) => source(audio, `backgroundAudios/${index}`))
+  ];
+}
+
+// Resolve a recipe path against `baseDir`. Throws RecipeError for paths
+// that lead outside of it.
+function resolveRecipePath(baseDir, filePath, field) {
+  const root = path.resolve(baseDir);
+  const resolved = path.resolve(root, filePath);
+  if (path.relative(root, resolved).startsWith('..') || resolved === root) {
+    throw new RecipeError(`${field}/path must stay inside the media directory`, [{ path: `${field}/path`, message: 'must stay inside the media directory' }]);
+  }
+  return resolved;
+}
+
+// The metadata the mixer takes, in the same shape as a saved project
+function recipeRenderSettings(recipe) {
+  const { assetId, path: mainPath, ...mainAudioMetadata } = recipe.mainAudio;
+  return {
+    mainAudioMetadata,
+    backgroundAudioMetadata: recipe.backgroundAudios.map(audio => ({ placements: audio.placements })),
+    outputSettings: recipe.outputSettings || {}
+  };
+}
+
+module.exports = {
+  YAML_TYPES,
+  RecipeError,
+  parseRecipe,
+  validateRecipe,
+  recipeSources,
+  resolveRecipePath,
+  recipeRenderSettings
+};
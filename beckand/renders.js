@@ -0,0 +1,73 @@
+const fs = require('fs');
+
+// Records of every render: what went in, the settings used, the ffmpeg
+// command lines that ran and what came out. Saved to `file` so the history
+// survives restarts.
+function createRenderStore({ file }) {
+  const renders = new Map();
+
+  if (fs.existsSync(file)) {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(render => renders.set(render.id, render));
+  }
+
+  function save() {
+    fs.writeFileSync(file, JSON.stringify([...renders.values()], null, 2));
+  }
+
+  function create(render) {
+    const record = {
+      state: 'queued',
+      commands: [],
+      outputAssetId: null,
+      duration: null,
+      size: null,
+      error: null,
+      ...render,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    renders.set(record.id, record);
+    save();
+    return record;
+  }
+
+  function update(id, changes) {
+    const render = renders.get(id);
+    if (!render) {
+      return null;
+    }
+    Object.assign(render, changes);
+    save();
+    return render;
+  }
+
+  function get(id) {
+    return renders.get(id);
+  }
+
+  function remove(id) {
+    const removed = renders.delete(id);
+    if (removed) {
+      save();
+    }
+    return removed;
+  }
+
+  // Every render, newest first
+  function list() {
+    return [...renders.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  return { create, update, get, remove, list };
+}
+
+// Public view of a render, without paths on disk. The ffmpeg command lines
+// and a failed render's ffmpeg error are full of them, so they stay in the
+// stored record only.
+function describeRender(render) {
+  const { outputPath, commands, error, ...fields } = render;
+  return fields;
+}
+
+module.exports = { createRenderStore, describeRender };
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Read the retention policy from the environment. Ages of 0 keep files
+// forever and a total size of 0 means no limit.
+function resolveRetentionPolicy(env = process.env) {
+  const number = (name, fallback) => {
+    const value = parseFloat(env[name]);
+    return isNaN(value) || value < 0 ? fallback : value;
+  };
+  return {
+    uploadMaxAge: number('RETENTION_UPLOAD_MAX_AGE_DAYS', 30) * DAY,
+    renderMaxAge: number('RETENTION_RENDER_MAX_AGE_DAYS', 7) * DAY,
+    tempMaxAge: number('RETENTION_TEMP_MAX_AGE_HOURS', 6) * HOUR,
+    jobMaxAge: number('RETENTION_JOB_MAX_AGE_HOURS', 24) * HOUR,
+    maxTotalBytes: number('RETENTION_MAX_TOTAL_MB', 0) * 1024 * 1024,
+    sweepInterval: number('RETENTION_SWEEP_INTERVAL_MINUTES', 60) * 60 * 1000
+  };
+}
+
+const fileSize = (filePath) => {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (err) {
+    return 0;
+  }
+};
+
+const isActive = (render) => render.state === 'queued' || render.state === 'running';
+
+// Deletes what the policy says is no longer needed from the upload, render
+// and temp directories, and forgets finished jobs of the `jobs` queue.
+// Uploads used by a saved project or by a render that hasn't finished are
+// never deleted. Everything removed is logged.
+function createRetention({ policy, assets, renders, projects, peaksCache, jobs, dirs, log = console.log }) {
+  let timer = null;
+
+  // Asset ids that must stay: referenced by projects or by unfinished renders
+  function pinnedAssetIds() {
+    const pinned = new Set();
+    projects.list().forEach(({ id }) => {
+      const project = projects.get(id);
+      if (project) {
+        pinned.add(project.mainAudio.assetId);
+        project.backgroundAudios.forEach(audio => pinned.add(audio.assetId));
+      }
+    });
+    renders.list().filter(isActive).forEach(render => {
+      render.inputs.forEach(input => pinned.add(input.assetId));
+    });
+    return pinned;
+  }
+
+  // Returns how many bytes that freed. Assets with the same content can
+  // share a stored file, which is only deleted with the last of them.
+  function removeAsset(asset, reason) {
+    const size = fileSize(asset.path);
+    const shared = assets.list().some(other => other.id !== asset.id && other.path === asset.path);
+    if (!shared) {
+      fs.rmSync(asset.path, { force: true });
+    }
+    peaksCache.remove(asset.id);
+    assets.remove(asset.id);
+    log(`Retention: deleted ${asset.kind} "${asset.name}" (${asset.id}, ${size} bytes${shared ? ', file kept for another asset' : ''}): ${reason}`);
+    return shared ? 0 : size;
+  }
+
+  // Delete a render's output. Its history entry stays, marked as expired.
+  // Returns how many bytes that freed.
+  function expireRender(render, reason) {
+    const asset = render.outputAssetId ? assets.get(render.outputAssetId) : null;
+    let freed;
+    if (asset) {
+      freed = removeAsset(asset, reason);
+    } else {
+      freed = fileSize(render.outputPath);
+      fs.rmSync(render.outputPath, { force: true });
+    }
+    renders.update(render.id, { state: 'expired', outputAssetId: null });
+    return freed;
+  }
+
+  // Delete a render's output and its history entry. Returns false for
+  // renders that are still queued or running.
+  function deleteRender(render) {
+    if (isActive(render)) {
+      return false;
+    }
+    const asset = render.outputAssetId ? assets.get(render.outputAssetId) : null;
+    if (asset) {
+      removeAsset(asset, 'render deleted by an admin');
+    } else {
+      fs.rmSync(render.outputPath, { force: true });
+    }
+    renders.remove(render.id);
+    log(`Retention: deleted render ${render.id}`);
+    return true;
+  }
+
+  // Renders can't survive a restart of the in-memory job queue, so any
+  // left queued or running belong to a previous process
+  function failAbandonedRenders() {
+    renders.list().filter(isActive).forEach(render => {
+      fs.rmSync(render.outputPath, { force: true });
+      renders.update(render.id, { state: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date().toISOString() });
+      log(`Retention: marked abandoned render ${render.id} as failed`);
+    });
+  }
+
+  // Files in the incoming and temp directories older than the temp age:
+  // interrupted uploads and leftover scratch files. The upload and render
+  // stores aren't swept, because files there can be in the middle of being
+  // moved in or written before their asset exists; abandoned renders are
+  // cleaned up by failAbandonedRenders instead.
+  function sweepTempFiles(now) {
+    if (!policy.tempMaxAge) {
+      return;
+    }
+    [dirs.incoming, dirs.temp].forEach(dir => {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+        .forEach(entry => {
+          const filePath = path.join(dir, entry.name);
+          const stats = fs.statSync(filePath);
+          if (now - stats.mtimeMs > policy.tempMaxAge) {
+            fs.rmSync(filePath, { force: true });
+            log(`Retention: deleted stray file ${filePath} (${stats.size} bytes)`);
+          }
+        });
+    });
+  }
+
+  function sweep() {
+    const now = Date.now();
+    const pinned = pinnedAssetIds();
+    sweepTempFiles(now);
+
+    const lastUsed = (asset) => new Date(asset.lastUsedAt || asset.createdAt).getTime();
+
+    // The render history keeps what a finished job reported
+    if (policy.jobMaxAge && jobs) {
+      const pruned = jobs.prune(policy.jobMaxAge, now);
+      if (pruned > 0) {
+        log(`Retention: forgot ${pruned} finished job${pruned === 1 ? '' : 's'}`);
+      }
+    }
+
+    if (policy.uploadMaxAge) {
+      assets.list('upload')
+        .filter(asset => !pinned.has(asset.id) && now - lastUsed(asset) > policy.uploadMaxAge)
+        .forEach(asset => removeAsset(asset, 'unused for longer than the upload retention period'));
+    }
+
+    if (policy.renderMaxAge) {
+      renders.list()
+        .filter(render => render.state === 'done' && now - new Date(render.finishedAt).getTime() > policy.renderMaxAge)
+        .forEach(render => expireRender(render, 'older than the render retention period'));
+    }
+
+    if (policy.maxTotalBytes) {
+      const stored = assets.list().filter(asset => !pinned.has(asset.id));
+      // Shared files count once
+      let total = [...new Set(assets.list().map(asset => asset.path))].reduce((sum, filePath) => sum + fileSize(filePath), 0);
+      // Least recently used first
+      stored.sort((a, b) => lastUsed(a) - lastUsed(b));
+      for (const asset of stored) {
+        if (total <= policy.maxTotalBytes) {
+          break;
+        }
+        const render = asset.kind === 'render' ? renders.list().find(r => r.outputAssetId === asset.id) : null;
+        total -= render
+          ? expireRender(render, 'evicted to stay under the storage limit')
+          : removeAsset(asset, 'evicted to stay under the storage limit');
+      }
+    }
+  }
+
+  // Sweep now and then on the configured interval
+  function start() {
+    const run = () => {
+      try {
+        sweep();
+      } catch (err) {
+        console.error('Retention sweep failed:', err);
+      }
+    };
+    run();
+    if (policy.sweepInterval) {
+      timer = setInterval(run, policy.sweepInterval);
+      // Don't keep the process alive just for the sweeper
+      timer.unref();
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return { sweep, start, stop, deleteRender, failAbandonedRenders };
+}
+
+module.exports = { resolveRetentionPolicy, createRetention };
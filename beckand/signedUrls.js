@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Signs URLs with an HMAC of the resource id and an expiry time, so links
+// handed to a client stop working after `ttlSeconds`. Without a `secret`
+// signing is off and every URL is accepted.
+function createUrlSigner({ secret, ttlSeconds = 3600 }) {
+  const signature = (id, expires) => crypto.createHmac('sha256', secret).update(`${id}:${expires}`).digest('hex');
+
+  // `basePath` with the signature query appended when signing is on
+  function sign(basePath, id) {
+    if (!secret) {
+      return basePath;
+    }
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return `${basePath}?expires=${expires}&signature=${signature(id, expires)}`;
+  }
+
+  // Returns null if the query carries a valid signature for `id`, else why not
+  function verify(id, query) {
+    if (!secret) {
+      return null;
+    }
+    const expires = parseInt(query.expires, 10);
+    if (!expires || typeof query.signature !== 'string') {
+      return 'Download link is not signed';
+    }
+    const expected = Buffer.from(signature(id, expires), 'hex');
+    const given = Buffer.from(query.signature, 'hex');
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return 'Invalid download signature';
+    }
+    if (expires < Date.now() / 1000) {
+      return 'Download link has expired';
+    }
+    return null;
+  }
+
+  return { enabled: Boolean(secret), sign, verify };
+}
+
+module.exports = { createUrlSigner };
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Stored files keep their extension so ffmpeg and browsers can tell the
+// format, but only if it looks like one
+const SAFE_EXTENSION = /^\.[a-z0-9]{1,10}$/;
+
+// SHA-256 of a file's content as a hex string
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Name of the stored copy of a file: its hash plus a sanitized extension.
+// Client-supplied names never end up on disk.
+function storedFileName(hash, originalName) {
+  const extension = path.extname(originalName).toLowerCase();
+  return `${hash}${SAFE_EXTENSION.test(extension) ? extension : ''}`;
+}
+
+// Move a finished upload to its content-addressed place in `dir`.
+// Resolves with the new path.
+function moveIntoStore(tempPath, dir, hash, originalName) {
+  const target = path.join(dir, storedFileName(hash, originalName));
+  return fs.promises.rename(tempPath, target).then(() => target);
+}
+
+// Copy a file that has to stay where it is into the store. Resolves with
+// the path of the copy.
+function copyIntoStore(sourcePath, dir, hash, originalName) {
+  const target = path.join(dir, storedFileName(hash, originalName));
+  return fs.promises.copyFile(sourcePath, target).then(() => target);
+}
+
+module.exports = { hashFile, moveIntoStore, copyIntoStore };
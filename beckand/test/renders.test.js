@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { describeRender } = require('../renders');
+
+// Any string that looks like an absolute path, e.g. in an ffmpeg message
+const ABSOLUTE_PATH = /(^|[\s"':=])\/[^\s"']*\//;
+
+test('the public view of a failed render has no filesystem paths', () => {
+  const render = {
+    id: '6ab5abde-3c00-416b-8ab4-4d6c6e98069d',
+    state: 'failed',
+    outputPath: '/srv/audio/public/6ab5abde-3c00-416b-8ab4-4d6c6e98069d.aac',
+    commands: ['ffmpeg -i /srv/audio/uploads/843c28ce.wav -filter_complex [0:a]volume=1[mix] /srv/audio/public/6ab5abde.aac'],
+    error: 'ffmpeg exited with code 1: /srv/audio/uploads/843c28ce.wav: No such file or directory',
+    inputs: [{ role: 'main', assetId: '87684ff1-dca6-4b44-9fbb-970cfceed92d', name: 'main.aac' }],
+    createdAt: '2026-10-19T05:15:51.607Z'
+  };
+
+  const view = describeRender(render);
+
+  assert.doesNotMatch(JSON.stringify(view), ABSOLUTE_PATH);
+  assert.strictEqual(view.state, 'failed');
+  assert.deepStrictEqual(view.inputs, render.inputs);
+});
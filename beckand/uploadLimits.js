@@ -0,0 +1,92 @@
+const multer = require('multer');
+const { ApiError } = require('./errors');
+
+// Read the upload limits from the environment. A limit of 0 turns it off.
+function resolveUploadLimits(env = process.env) {
+  const number = (name, fallback) => {
+    const value = parseFloat(env[name]);
+    return isNaN(value) || value < 0 ? fallback : value;
+  };
+  return {
+    maxFileBytes: Math.floor(number('UPLOAD_MAX_FILE_MB', 200) * 1024 * 1024),
+    maxTotalDuration: number('UPLOAD_MAX_TOTAL_DURATION_MINUTES', 180) * 60,
+    maxBackgroundTracks: number('UPLOAD_MAX_BACKGROUND_TRACKS', 10)
+  };
+}
+
+const megabytes = (bytes) => `${+(bytes / 1024 / 1024).toFixed(1)} MB`;
+const minutes = (seconds) => `${+(seconds / 60).toFixed(1)} minutes`;
+
+// Browsers report audio as audio/* and some containers (webm, mp4) as
+// video/*. Everything else is refused before it is written to disk; what
+// passes is still probed with ffprobe afterwards.
+const ACCEPTED_TYPES = /^(audio\/|video\/|application\/(octet-stream|ogg)$)/;
+
+function audioFileFilter(req, file, cb) {
+  if (ACCEPTED_TYPES.test(file.mimetype)) {
+    cb(null, true);
+    return;
+  }
+  cb(new ApiError(415, 'unsupported_file_type', `${file.originalname} is not an audio file`, {
+    field: file.fieldname,
+    details: { file: file.originalname, type: file.mimetype }
+  }));
+}
+
+// Turn multer's limit errors into ApiErrors that name the field at fault.
+// Multer reports both a file in a field the route doesn't take and one file
+// too many in a field it does as an unexpected file. `fileFields` lists the
+// fields the route takes files in as `{ name, maxCount, label }`, with
+// `label` naming their files in messages, to tell them apart.
+function uploadError(err, limits, fileFields = []) {
+  if (!(err instanceof multer.MulterError)) {
+    return err;
+  }
+  const fileField = fileFields.find(field => field.name === err.field);
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new ApiError(413, 'file_too_large', `Files can be at most ${megabytes(limits.maxFileBytes)}`, {
+        field: err.field,
+        details: { maxBytes: limits.maxFileBytes }
+      });
+    case 'LIMIT_UNEXPECTED_FILE':
+      if (fileField) {
+        const { maxCount, label } = fileField;
+        const message = maxCount === 1
+          ? `Only one ${label} file can be uploaded`
+          : `At most ${maxCount} ${label} files can be uploaded at once`;
+        return new ApiError(400, 'too_many_files', message, { field: err.field, details: { maxFiles: maxCount } });
+      }
+      return new ApiError(400, 'unexpected_field', `Unexpected file field "${err.field}"; files can be sent as ${fileFields.map(field => field.name).join(' or ')}`, {
+        field: err.field,
+        details: { fileFields: fileFields.map(field => field.name) }
+      });
+    default:
+      return new ApiError(400, 'invalid_upload', err.message, { field: err.field });
+  }
+}
+
+// Reject audio longer than the limit in total. `durations` are in seconds.
+function checkTotalDuration(limits, durations, field = null) {
+  const totalDuration = durations.reduce((sum, duration) => sum + duration, 0);
+  if (limits.maxTotalDuration && totalDuration > limits.maxTotalDuration) {
+    throw new ApiError(413, 'duration_limit', `The audio adds up to ${minutes(totalDuration)}, more than the limit of ${minutes(limits.maxTotalDuration)}`, {
+      field,
+      details: { totalDuration, maxTotalDuration: limits.maxTotalDuration }
+    });
+  }
+}
+
+// Check the number of background tracks and the combined length of all
+// inputs of a render, main track first
+function checkRenderLimits(limits, mainAsset, backgroundAssets) {
+  if (limits.maxBackgroundTracks && backgroundAssets.length > limits.maxBackgroundTracks) {
+    throw new ApiError(400, 'too_many_tracks', `A mix can have at most ${limits.maxBackgroundTracks} background tracks`, {
+      field: 'backgroundAudios',
+      details: { backgroundTracks: backgroundAssets.length, maxBackgroundTracks: limits.maxBackgroundTracks }
+    });
+  }
+  checkTotalDuration(limits, [mainAsset, ...backgroundAssets].map(asset => asset.duration));
+}
+
+module.exports = { resolveUploadLimits, audioFileFilter, uploadError, checkTotalDuration, checkRenderLimits };
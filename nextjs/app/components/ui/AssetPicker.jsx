@@ -0,0 +1,28 @@
+import React from 'react';
+import { Select } from "./select";
+
+// Pick a file that's already stored on the server instead of uploading it
+const AssetPicker = ({ id, assets, onPick, disabled }) => {
+  return (
+    <Select
+      id={id}
+      value=""
+      onChange={(e) => {
+        const asset = assets.find(a => a.id === e.target.value);
+        if (asset) {
+          onPick(asset);
+        }
+      }}
+      disabled={disabled || assets.length === 0}
+    >
+      <option value="">{assets.length === 0 ? 'No stored files yet' : 'Use a stored file'}</option>
+      {assets.map(asset => (
+        <option key={asset.id} value={asset.id}>
+          {asset.name} ({asset.duration.toFixed(1)}s)
+        </option>
+      ))}
+    </Select>
+  );
+};
+
+export default AssetPicker;
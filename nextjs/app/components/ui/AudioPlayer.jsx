@@ -1,6 +1,7 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Slider } from "./slider";
 import { Button } from './button';
+import Waveform from './Waveform';
 import { Play, Pause, Volume2 } from 'lucide-react';
 
 const AudioPlayer = ({
@@ -13,8 +14,22 @@ const AudioPlayer = ({
   onBackgroundVolumeChange,
   currentTime,
   duration,
-  onSeek
+  onSeek,
+  waveform
 }) => {
+  const seekRef = useRef(null);
+  const [seekWidth, setSeekWidth] = useState(0);
+
+  // The waveform is drawn at the seek bar's width
+  useEffect(() => {
+    if (!seekRef.current) {
+      return;
+    }
+    const observer = new ResizeObserver(([entry]) => setSeekWidth(entry.contentRect.width));
+    observer.observe(seekRef.current);
+    return () => observer.disconnect();
+  }, []);
+
   const formatTime = (time) => {
     const minutes = Math.floor(time / 60);
     const seconds = Math.floor(time % 60);
@@ -27,7 +42,12 @@ const AudioPlayer = ({
         <Button onClick={onPlayPause} variant="outline" size="icon">
           {isPlaying ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
         </Button>
-        <div className="flex-1 mx-4">
+        <div ref={seekRef} className="relative flex-1 mx-4">
+          {waveform && (
+            <div className="absolute inset-x-0 -top-2 opacity-40 pointer-events-none">
+              <Waveform waveform={waveform} length={waveform.duration} width={seekWidth} height={32} />
+            </div>
+          )}
           <Slider
             value={[progress]}
             max={100}
@@ -58,7 +78,7 @@ const AudioPlayer = ({
             <Slider
               className="flex-1"
               value={[track.volume * 100]}
-              max={100}
+              max={200}
               step={1}
               onValueChange={(value) => onBackgroundVolumeChange(index, value[0])}
             />
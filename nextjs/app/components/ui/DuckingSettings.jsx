@@ -0,0 +1,48 @@
+import React from 'react';
+import { Input } from "./input";
+import { Label } from "./label";
+
+export const DEFAULT_DUCKING = { enabled: false, threshold: -30, ratio: 8, attack: 20, release: 300, depth: 12 };
+
+const FIELDS = [
+  { key: 'threshold', label: 'Threshold (dB)', min: -60, max: 0, step: 1 },
+  { key: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.5 },
+  { key: 'attack', label: 'Attack (ms)', min: 1, max: 2000, step: 1 },
+  { key: 'release', label: 'Release (ms)', min: 1, max: 9000, step: 10 },
+  { key: 'depth', label: 'Depth (dB)', min: 0, max: 60, step: 1 },
+];
+
+const DuckingSettings = ({ duck, onChange }) => {
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center space-x-2">
+        <input
+          id="duckUnderMain"
+          type="checkbox"
+          checked={duck.enabled}
+          onChange={(e) => onChange('enabled', e.target.checked)}
+        />
+        <Label htmlFor="duckUnderMain">Duck under main track</Label>
+      </div>
+      {duck.enabled && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+          {FIELDS.map(field => (
+            <div key={field.key}>
+              <Label className="text-xs">{field.label}</Label>
+              <Input
+                type="number"
+                min={field.min}
+                max={field.max}
+                step={field.step}
+                value={duck[field.key]}
+                onChange={(e) => onChange(field.key, parseFloat(e.target.value) || 0)}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuckingSettings;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { Input } from "./input";
+import { Label } from "./label";
+
+// Mirror CLIP_EFFECT_DEFAULTS in beckand/clipEffects.js
+export const DEFAULT_STEREO = { pan: 0, width: 1 };
+export const DEFAULT_EQ = { lowGain: 0, lowFrequency: 200, highGain: 0, highFrequency: 5000, highCut: 0 };
+export const DEFAULT_REVERB = { enabled: false, delay: 60, decay: 0.3 };
+
+const EQ_FIELDS = [
+  { key: 'lowGain', label: 'Low shelf (dB)', min: -24, max: 24, step: 0.5 },
+  { key: 'lowFrequency', label: 'Low shelf (Hz)', min: 20, max: 1000, step: 10 },
+  { key: 'highGain', label: 'High shelf (dB)', min: -24, max: 24, step: 0.5 },
+  { key: 'highFrequency', label: 'High shelf (Hz)', min: 1000, max: 16000, step: 100 },
+  { key: 'highCut', label: 'High cut (Hz, 0 = off)', min: 0, max: 20000, step: 100 },
+];
+
+const REVERB_FIELDS = [
+  { key: 'delay', label: 'Delay (ms)', min: 1, max: 2000, step: 1 },
+  { key: 'decay', label: 'Decay', min: 0, max: 0.9, step: 0.05 },
+];
+
+const NumberFields = ({ fields, values, onChange }) => (
+  <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+    {fields.map(field => (
+      <div key={field.key}>
+        <Label className="text-xs">{field.label}</Label>
+        <Input
+          type="number"
+          min={field.min}
+          max={field.max}
+          step={field.step}
+          value={values[field.key]}
+          onChange={(e) => onChange(field.key, parseFloat(e.target.value) || 0)}
+        />
+      </div>
+    ))}
+  </div>
+);
+
+// Pan, stereo width, shelf EQ with a high cut, and an echo reverb for one
+// placement. `onChange(group, field, value)` updates one setting.
+const EffectsSettings = ({ stereo, eq, reverb, onChange }) => {
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label>Pan ({stereo.pan === 0 ? 'center' : `${Math.round(Math.abs(stereo.pan) * 100)}% ${stereo.pan < 0 ? 'left' : 'right'}`})</Label>
+          <Input
+            type="range"
+            min="-100"
+            max="100"
+            step="1"
+            value={stereo.pan * 100}
+            onChange={(e) => onChange('stereo', 'pan', parseInt(e.target.value) / 100)}
+          />
+        </div>
+        <div>
+          <Label>Stereo width ({stereo.width === 0 ? 'mono' : `${Math.round(stereo.width * 100)}%`})</Label>
+          <Input
+            type="range"
+            min="0"
+            max="200"
+            step="5"
+            value={stereo.width * 100}
+            onChange={(e) => onChange('stereo', 'width', parseInt(e.target.value) / 100)}
+          />
+        </div>
+      </div>
+      <div className="space-y-2">
+        <Label>EQ</Label>
+        <NumberFields fields={EQ_FIELDS} values={eq} onChange={(field, value) => onChange('eq', field, value)} />
+      </div>
+      <div className="space-y-2">
+        <div className="flex items-center space-x-2">
+          <input
+            id="clipReverb"
+            type="checkbox"
+            checked={reverb.enabled}
+            onChange={(e) => onChange('reverb', 'enabled', e.target.checked)}
+          />
+          <Label htmlFor="clipReverb">Reverb</Label>
+        </div>
+        {reverb.enabled && (
+          <NumberFields fields={REVERB_FIELDS} values={reverb} onChange={(field, value) => onChange('reverb', field, value)} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EffectsSettings;
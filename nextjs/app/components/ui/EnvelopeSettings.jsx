@@ -0,0 +1,45 @@
+import React from 'react';
+import { Button } from './button';
+import { Label } from './label';
+import { Select } from './select';
+
+// Mirrors resolveEnvelope in beckand/clips.js
+export const DEFAULT_ENVELOPE = { interpolation: 'linear', points: [] };
+
+// Interpolation and keyframe count of a placement's gain envelope. The
+// keyframes themselves are edited on the timeline.
+const EnvelopeSettings = ({ envelope, onChange }) => {
+  return (
+    <div className="space-y-2">
+      <Label htmlFor="envelopeInterpolation">Volume envelope</Label>
+      <div className="flex items-center gap-2">
+        <Select
+          id="envelopeInterpolation"
+          className="w-40"
+          value={envelope.interpolation}
+          onChange={(e) => onChange('interpolation', e.target.value)}
+        >
+          <option value="linear">Linear</option>
+          <option value="exponential">Exponential</option>
+        </Select>
+        <span className="text-sm text-muted-foreground">
+          {envelope.points.length} {envelope.points.length === 1 ? 'point' : 'points'}
+        </span>
+        <Button
+          type="button"
+          size="sm"
+          variant="outline"
+          onClick={() => onChange('points', [])}
+          disabled={envelope.points.length === 0}
+        >
+          Clear
+        </Button>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        Double-click the selected clip on the timeline to add a point, drag points to change them and double-click a point to remove it.
+      </p>
+    </div>
+  );
+};
+
+export default EnvelopeSettings;
@@ -0,0 +1,148 @@
+import React from 'react';
+import { Label } from "./label";
+import { Input } from "./input";
+import { Select } from "./select";
+
+const OUTPUT_FORMATS = [
+  { value: 'aac', label: 'AAC (.aac)' },
+  { value: 'm4a', label: 'M4A / AAC (.m4a)' },
+  { value: 'mp3', label: 'MP3 (.mp3)' },
+  { value: 'ogg', label: 'Ogg Vorbis (.ogg)' },
+  { value: 'opus', label: 'Opus (.opus)' },
+  { value: 'wav', label: 'WAV (.wav)', lossless: true },
+  { value: 'flac', label: 'FLAC (.flac)', lossless: true },
+];
+
+const LOUDNESS_TARGETS = [
+  { value: 'podcast', label: 'Podcast (-16 LUFS)', truePeak: -1.5 },
+  { value: 'ebu', label: 'EBU R128 (-23 LUFS)', truePeak: -1 },
+  { value: 'streaming', label: 'Streaming (-14 LUFS)', truePeak: -1 },
+];
+
+const BITRATES = ['64k', '96k', '128k', '160k', '192k', '256k', '320k'];
+const SAMPLE_RATES = [16000, 22050, 24000, 44100, 48000];
+const OPUS_SAMPLE_RATES = [16000, 24000, 48000];
+
+const ExportSettings = ({ settings, onChange, disabled }) => {
+  const format = OUTPUT_FORMATS.find(f => f.value === settings.format) || OUTPUT_FORMATS[0];
+  const sampleRates = settings.format === 'opus' ? OPUS_SAMPLE_RATES : SAMPLE_RATES;
+
+  const update = (field, value) => {
+    const next = { ...settings, [field]: value };
+    // Drop a sample rate the newly selected format can't encode
+    if (field === 'format' && value === 'opus' && next.sampleRate && !OPUS_SAMPLE_RATES.includes(parseInt(next.sampleRate))) {
+      next.sampleRate = '';
+    }
+    onChange(next);
+  };
+
+  const updateLoudness = (field, value) => {
+    const loudness = { ...settings.loudness, [field]: value };
+    // Switching presets resets the ceiling to that preset's default
+    if (field === 'target') {
+      const target = LOUDNESS_TARGETS.find(t => t.value === value);
+      loudness.truePeak = target ? target.truePeak : '';
+    }
+    onChange({ ...settings, loudness });
+  };
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      <div>
+        <Label htmlFor="outputFormat">Format</Label>
+        <Select
+          id="outputFormat"
+          className="mt-1"
+          value={settings.format}
+          disabled={disabled}
+          onChange={(e) => update('format', e.target.value)}
+        >
+          {OUTPUT_FORMATS.map(f => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </Select>
+      </div>
+      <div>
+        <Label htmlFor="outputBitrate">Bitrate</Label>
+        <Select
+          id="outputBitrate"
+          className="mt-1"
+          value={format.lossless ? '' : settings.bitrate}
+          disabled={disabled || format.lossless}
+          onChange={(e) => update('bitrate', e.target.value)}
+        >
+          {format.lossless ? (
+            <option value="">Lossless</option>
+          ) : (
+            <>
+              <option value="">Default</option>
+              {BITRATES.map(b => (
+                <option key={b} value={b}>{b.replace('k', ' kbps')}</option>
+              ))}
+            </>
+          )}
+        </Select>
+      </div>
+      <div>
+        <Label htmlFor="outputSampleRate">Sample rate</Label>
+        <Select
+          id="outputSampleRate"
+          className="mt-1"
+          value={settings.sampleRate}
+          disabled={disabled}
+          onChange={(e) => update('sampleRate', e.target.value)}
+        >
+          <option value="">Original</option>
+          {sampleRates.map(rate => (
+            <option key={rate} value={rate}>{rate / 1000} kHz</option>
+          ))}
+        </Select>
+      </div>
+      <div>
+        <Label htmlFor="outputChannels">Channels</Label>
+        <Select
+          id="outputChannels"
+          className="mt-1"
+          value={settings.channels}
+          disabled={disabled}
+          onChange={(e) => update('channels', e.target.value)}
+        >
+          <option value="">Original</option>
+          <option value="mono">Mono</option>
+          <option value="stereo">Stereo</option>
+        </Select>
+      </div>
+      <div className="col-span-2">
+        <Label htmlFor="loudnessTarget">Loudness normalization</Label>
+        <Select
+          id="loudnessTarget"
+          className="mt-1"
+          value={settings.loudness.target}
+          disabled={disabled}
+          onChange={(e) => updateLoudness('target', e.target.value)}
+        >
+          <option value="">Off</option>
+          {LOUDNESS_TARGETS.map(t => (
+            <option key={t.value} value={t.value}>{t.label}</option>
+          ))}
+        </Select>
+      </div>
+      <div className="col-span-2">
+        <Label htmlFor="loudnessTruePeak">True-peak ceiling (dBTP)</Label>
+        <Input
+          id="loudnessTruePeak"
+          type="number"
+          className="mt-1"
+          min="-9"
+          max="0"
+          step="0.1"
+          value={settings.loudness.truePeak}
+          disabled={disabled || !settings.loudness.target}
+          onChange={(e) => updateLoudness('truePeak', e.target.value)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ExportSettings;
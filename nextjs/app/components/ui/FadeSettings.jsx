@@ -0,0 +1,95 @@
+import React from 'react';
+import { Input } from "./input";
+import { Label } from "./label";
+import { Select } from "./select";
+import { fitFadeOut } from '@/lib/preview';
+
+export const DEFAULT_FADE_IN = { duration: 0, curve: 'linear' };
+// `auto` until the duration is set by hand, see fitFadeOut
+export const DEFAULT_FADE_OUT = { duration: 0.5, curve: 'linear', auto: true };
+
+const FADE_CURVES = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'exponential', label: 'Exponential' },
+  { value: 'logarithmic', label: 'Logarithmic' },
+  { value: 's-curve', label: 'S-curve' },
+];
+
+const FadeControl = ({ label, fade, maxDuration, onChange }) => (
+  <div className="grid grid-cols-2 gap-2">
+    <div>
+      <Label className="text-xs">{label} (s)</Label>
+      <Input
+        type="number"
+        min="0"
+        max={maxDuration}
+        step="0.1"
+        value={fade.duration}
+        onChange={(e) => onChange('duration', parseFloat(e.target.value) || 0)}
+      />
+    </div>
+    <div>
+      <Label className="text-xs">Curve</Label>
+      <Select value={fade.curve} onChange={(e) => onChange('curve', e.target.value)}>
+        {FADE_CURVES.map(curve => (
+          <option key={curve.value} value={curve.value}>{curve.label}</option>
+        ))}
+      </Select>
+    </div>
+  </div>
+);
+
+const FadeSettings = ({ clip, clipDuration, onFadeChange, onChange }) => {
+  const fadeOut = fitFadeOut(clip.fadeOut, clip.fadeIn, clipDuration);
+  const tooLong = clipDuration > 0 && clip.fadeIn.duration + fadeOut.duration > clipDuration;
+
+  return (
+    <div className="space-y-2">
+      <FadeControl
+        label="Fade in"
+        fade={clip.fadeIn}
+        maxDuration={clipDuration}
+        onChange={(field, value) => onFadeChange('fadeIn', field, value)}
+      />
+      <FadeControl
+        label="Fade out"
+        fade={fadeOut}
+        maxDuration={clipDuration}
+        onChange={(field, value) => {
+          onFadeChange('fadeOut', field, value);
+          if (field === 'duration') {
+            onFadeChange('fadeOut', 'auto', false);
+          }
+        }}
+      />
+      {tooLong && (
+        <p className="text-xs text-destructive">Fade-in and fade-out together are longer than the clip.</p>
+      )}
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <Label className="text-xs">Track</Label>
+          <Input
+            type="number"
+            min="1"
+            step="1"
+            value={clip.track}
+            onChange={(e) => onChange('track', parseInt(e.target.value) || 1)}
+          />
+        </div>
+        <div>
+          <Label className="text-xs">Crossfade from previous clip (s)</Label>
+          <Input
+            type="number"
+            min="0"
+            max={clipDuration}
+            step="0.1"
+            value={clip.crossfade}
+            onChange={(e) => onChange('crossfade', parseFloat(e.target.value) || 0)}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FadeSettings;
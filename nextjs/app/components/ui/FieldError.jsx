@@ -0,0 +1,11 @@
+import React from 'react';
+
+// Error message shown right below the input it is about
+const FieldError = ({ message }) => {
+  if (!message) {
+    return null;
+  }
+  return <p className="text-sm text-destructive mt-1">{message}</p>;
+};
+
+export default FieldError;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { Input } from "./input";
+import { Label } from "./label";
+
+export const DEFAULT_LOOP = { enabled: false, crossfade: 0.5 };
+
+const LoopSettings = ({ loop, onChange }) => {
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center space-x-2">
+        <input
+          id="loopClip"
+          type="checkbox"
+          checked={loop.enabled}
+          onChange={(e) => onChange('enabled', e.target.checked)}
+        />
+        <Label htmlFor="loopClip">Loop to fill the duration</Label>
+      </div>
+      {loop.enabled && (
+        <div>
+          <Label className="text-xs">Loop crossfade (s)</Label>
+          <Input
+            type="number"
+            min="0"
+            step="0.1"
+            value={loop.crossfade}
+            onChange={(e) => onChange('crossfade', parseFloat(e.target.value) || 0)}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoopSettings;
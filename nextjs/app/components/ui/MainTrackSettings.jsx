@@ -0,0 +1,156 @@
+import React from 'react';
+import { Input } from "./input";
+import { Label } from "./label";
+import { Button } from './button';
+import { Plus, Trash2 } from 'lucide-react';
+
+// Mirrors MAIN_CHAIN_DEFAULTS in beckand/mainChain.js. The volume isn't
+// part of it, it comes from the main volume slider.
+export const DEFAULT_MAIN_CHAIN = {
+  highpass: { enabled: false, frequency: 80 },
+  eq: [],
+  denoise: { enabled: false, reduction: 12, noiseFloor: -50 },
+  deesser: { enabled: false, intensity: 0.5, maxReduction: 0.5, frequency: 0.5 },
+  compressor: { enabled: false, threshold: -18, ratio: 3, attack: 10, release: 150, makeup: 3 }
+};
+
+const MAX_EQ_BANDS = 8;
+
+const STAGES = [
+  {
+    key: 'highpass',
+    label: 'High-pass filter',
+    fields: [{ key: 'frequency', label: 'Cutoff (Hz)', min: 20, max: 500, step: 5 }]
+  },
+  {
+    key: 'denoise',
+    label: 'Noise reduction',
+    fields: [
+      { key: 'reduction', label: 'Reduction (dB)', min: 0.01, max: 97, step: 1 },
+      { key: 'noiseFloor', label: 'Noise floor (dB)', min: -80, max: -20, step: 1 }
+    ]
+  },
+  {
+    key: 'deesser',
+    label: 'De-esser',
+    fields: [
+      { key: 'intensity', label: 'Intensity', min: 0, max: 1, step: 0.05 },
+      { key: 'maxReduction', label: 'Max reduction', min: 0, max: 1, step: 0.05 },
+      { key: 'frequency', label: 'Frequency', min: 0, max: 1, step: 0.05 }
+    ]
+  },
+  {
+    key: 'compressor',
+    label: 'Compressor',
+    fields: [
+      { key: 'threshold', label: 'Threshold (dB)', min: -60, max: 0, step: 1 },
+      { key: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.5 },
+      { key: 'attack', label: 'Attack (ms)', min: 1, max: 2000, step: 1 },
+      { key: 'release', label: 'Release (ms)', min: 1, max: 9000, step: 10 },
+      { key: 'makeup', label: 'Makeup (dB)', min: 0, max: 24, step: 0.5 }
+    ]
+  }
+];
+
+const EQ_FIELDS = [
+  { key: 'frequency', label: 'Frequency (Hz)', min: 20, max: 20000, step: 10 },
+  { key: 'gain', label: 'Gain (dB)', min: -24, max: 24, step: 0.5 },
+  { key: 'q', label: 'Q', min: 0.1, max: 10, step: 0.1 }
+];
+
+const NumberField = ({ field, value, onChange }) => (
+  <div>
+    <Label className="text-xs">{field.label}</Label>
+    <Input
+      type="number"
+      min={field.min}
+      max={field.max}
+      step={field.step}
+      value={value}
+      onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+    />
+  </div>
+);
+
+// Processing chain of the main track. The server runs it as high-pass,
+// noise reduction, EQ, de-esser, compressor and then the volume.
+const MainTrackSettings = ({ chain, onChange, disabled }) => {
+  const setStage = (stage, field, value) => {
+    onChange({ ...chain, [stage]: { ...chain[stage], [field]: value } });
+  };
+  const setBand = (index, field, value) => {
+    onChange({ ...chain, eq: chain.eq.map((band, i) => i === index ? { ...band, [field]: value } : band) });
+  };
+
+  return (
+    <fieldset className="space-y-4" disabled={disabled}>
+      {STAGES.map(stage => (
+        <div key={stage.key} className="space-y-2">
+          <div className="flex items-center space-x-2">
+            <input
+              id={`main-${stage.key}`}
+              type="checkbox"
+              checked={chain[stage.key].enabled}
+              onChange={(e) => setStage(stage.key, 'enabled', e.target.checked)}
+            />
+            <Label htmlFor={`main-${stage.key}`}>{stage.label}</Label>
+          </div>
+          {chain[stage.key].enabled && (
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+              {stage.fields.map(field => (
+                <NumberField
+                  key={field.key}
+                  field={field}
+                  value={chain[stage.key][field.key]}
+                  onChange={(value) => setStage(stage.key, field.key, value)}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <Label>EQ bands</Label>
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            onClick={() => onChange({ ...chain, eq: [...chain.eq, { frequency: 1000, gain: 0, q: 1 }] })}
+            disabled={chain.eq.length >= MAX_EQ_BANDS}
+          >
+            <Plus className="h-4 w-4" />
+          </Button>
+        </div>
+        {chain.eq.map((band, index) => (
+          <div key={index} className="flex items-end gap-2">
+            <div className="grid grid-cols-3 gap-2 flex-1">
+              {EQ_FIELDS.map(field => (
+                <NumberField
+                  key={field.key}
+                  field={field}
+                  value={band[field.key]}
+                  onChange={(value) => setBand(index, field.key, value)}
+                />
+              ))}
+            </div>
+            <Button
+              type="button"
+              size="icon"
+              variant="outline"
+              onClick={() => onChange({ ...chain, eq: chain.eq.filter((_, i) => i !== index) })}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-muted-foreground">
+        The main track&apos;s volume is set with its slider in the player. These settings are only heard in the processed file.
+      </p>
+    </fieldset>
+  );
+};
+
+export default MainTrackSettings;
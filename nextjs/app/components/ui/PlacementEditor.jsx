@@ -0,0 +1,105 @@
+import React from 'react';
+import { Input } from "./input";
+import { Label } from "./label";
+import FadeSettings, { DEFAULT_FADE_IN, DEFAULT_FADE_OUT } from './FadeSettings';
+import LoopSettings, { DEFAULT_LOOP } from './LoopSettings';
+import DuckingSettings, { DEFAULT_DUCKING } from './DuckingSettings';
+import EffectsSettings, { DEFAULT_STEREO, DEFAULT_EQ, DEFAULT_REVERB } from './EffectsSettings';
+import EnvelopeSettings, { DEFAULT_ENVELOPE } from './EnvelopeSettings';
+
+export const createPlacement = (track, overrides = {}) => ({
+  timestamp: 0,
+  sourceStart: 0,
+  volume: 1,
+  duration: 0,
+  track,
+  crossfade: 0,
+  fadeIn: { ...DEFAULT_FADE_IN },
+  fadeOut: { ...DEFAULT_FADE_OUT },
+  loop: { ...DEFAULT_LOOP },
+  duck: { ...DEFAULT_DUCKING },
+  stereo: { ...DEFAULT_STEREO },
+  eq: { ...DEFAULT_EQ },
+  reverb: { ...DEFAULT_REVERB },
+  envelope: { ...DEFAULT_ENVELOPE },
+  ...overrides
+});
+
+// Timing, volume and effect controls for one placement of a background file
+const PlacementEditor = ({ placement, mainAudioDuration, sourceDuration, onChange, onSettingChange }) => {
+  return (
+    <div className="space-y-4">
+      <div>
+        <Label>Timestamp on main track (s)</Label>
+        <Input
+          type="number"
+          min="0"
+          max={mainAudioDuration}
+          step="0.1"
+          value={placement.timestamp || 0}
+          onChange={(e) => onChange('timestamp', parseFloat(e.target.value) || 0)}
+        />
+      </div>
+      <div>
+        <Label>Source start (s)</Label>
+        <Input
+          type="number"
+          min="0"
+          max={sourceDuration || undefined}
+          step="0.1"
+          value={placement.sourceStart || 0}
+          onChange={(e) => onChange('sourceStart', parseFloat(e.target.value) || 0)}
+        />
+        <p className="text-xs text-muted-foreground mt-1">Where playback starts inside the background file.</p>
+      </div>
+      <div>
+        <Label>Duration (s)</Label>
+        <Input
+          type="number"
+          min="0"
+          max={mainAudioDuration - (placement.timestamp || 0)}
+          step="0.1"
+          value={placement.duration || 0}
+          onChange={(e) => onChange('duration', parseFloat(e.target.value) || 0)}
+        />
+      </div>
+      <div>
+        <Label>Volume ({Math.round((placement.volume ?? 1) * 100)}%)</Label>
+        <Input
+          type="range"
+          min="0"
+          max="200"
+          step="1"
+          value={(placement.volume ?? 1) * 100}
+          onChange={(e) => onChange('volume', parseInt(e.target.value) / 100)}
+        />
+      </div>
+      <EnvelopeSettings
+        envelope={placement.envelope || DEFAULT_ENVELOPE}
+        onChange={(field, value) => onSettingChange('envelope', field, value)}
+      />
+      <FadeSettings
+        clip={placement}
+        clipDuration={placement.duration || (mainAudioDuration - placement.timestamp)}
+        onFadeChange={onSettingChange}
+        onChange={onChange}
+      />
+      <LoopSettings
+        loop={placement.loop}
+        onChange={(field, value) => onSettingChange('loop', field, value)}
+      />
+      <DuckingSettings
+        duck={placement.duck}
+        onChange={(field, value) => onSettingChange('duck', field, value)}
+      />
+      <EffectsSettings
+        stereo={placement.stereo}
+        eq={placement.eq}
+        reverb={placement.reverb}
+        onChange={onSettingChange}
+      />
+    </div>
+  );
+};
+
+export default PlacementEditor;
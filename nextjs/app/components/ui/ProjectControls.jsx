@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Input } from "./input";
+import { Label } from "./label";
+import { Select } from "./select";
+import { Button } from './button';
+import { FolderOpen, Save, Trash2 } from 'lucide-react';
+
+// Name and save the current mix as a project, or open a saved one
+const ProjectControls = ({ projects, projectId, projectName, onNameChange, onSave, onOpen, onDelete, busy, canSave }) => {
+  const [selectedId, setSelectedId] = useState('');
+
+  return (
+    <div className="flex flex-col md:flex-row md:items-end gap-4">
+      <div className="flex-1">
+        <Label htmlFor="projectName">Project name</Label>
+        <div className="flex mt-1 gap-2">
+          <Input
+            id="projectName"
+            value={projectName}
+            onChange={(e) => onNameChange(e.target.value)}
+          />
+          <Button type="button" onClick={onSave} disabled={!canSave || busy}>
+            <Save className="mr-2 h-4 w-4" />
+            {projectId ? 'Save' : 'Save as project'}
+          </Button>
+        </div>
+      </div>
+      <div className="flex-1">
+        <Label htmlFor="openProject">Open project</Label>
+        <div className="flex mt-1 gap-2">
+          <Select id="openProject" value={selectedId} onChange={(e) => setSelectedId(e.target.value)} disabled={busy}>
+            <option value="">Choose a project</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>
+                {project.name} ({new Date(project.updatedAt).toLocaleString()})
+              </option>
+            ))}
+          </Select>
+          <Button type="button" variant="outline" onClick={() => onOpen(selectedId)} disabled={!selectedId || busy}>
+            <FolderOpen className="mr-2 h-4 w-4" />
+            Open
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            size="icon"
+            onClick={() => {
+              onDelete(selectedId);
+              setSelectedId('');
+            }}
+            disabled={!selectedId || busy}
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectControls;
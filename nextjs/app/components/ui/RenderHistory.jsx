@@ -0,0 +1,55 @@
+import React from 'react';
+import { Button } from './button';
+import { Download, Play } from 'lucide-react';
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+// Earlier renders, newest first, to play again or download
+const RenderHistory = ({ renders, onPlay }) => {
+  if (renders.length === 0) {
+    return <p className="text-sm text-muted-foreground">Nothing rendered yet.</p>;
+  }
+
+  return (
+    <div className="divide-y">
+      {renders.map(render => {
+        const main = render.inputs.find(input => input.role === 'main');
+        const backgrounds = render.inputs.filter(input => input.role === 'background');
+        return (
+          <div key={render.id} className="flex items-center justify-between gap-4 py-2 text-sm">
+            <div className="min-w-0">
+              <div className="font-medium truncate">
+                {main ? main.name : 'Unknown'} + {backgrounds.map(input => input.name).join(', ')}
+              </div>
+              <div className="text-muted-foreground">
+                {new Date(render.createdAt).toLocaleString()} · {render.parameters.outputSettings.name}
+                {render.state === 'done'
+                  ? ` · ${render.duration.toFixed(1)}s · ${formatSize(render.size)}`
+                  : ` · ${render.state}`}
+              </div>
+            </div>
+            {render.state === 'done' && (
+              <div className="flex gap-2 shrink-0">
+                <Button type="button" variant="outline" size="icon" onClick={() => onPlay(render)}>
+                  <Play className="h-4 w-4" />
+                </Button>
+                <Button asChild variant="outline" size="icon">
+                  <a href={`http://localhost:5001${render.downloadUrl}`} download>
+                    <Download className="h-4 w-4" />
+                  </a>
+                </Button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RenderHistory;
@@ -0,0 +1,332 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button } from './button';
+import { Label } from './label';
+import { Select } from './select';
+import Waveform from './Waveform';
+import { ZoomIn, ZoomOut } from 'lucide-react';
+import { decodeAudioFile, computePeaks } from '@/lib/audio';
+import { envelopeGain, resolveEnvelope } from '@/lib/preview';
+
+const ROW_HEIGHT = 48;
+const RULER_HEIGHT = 20;
+const MIN_ZOOM = 2;
+const MAX_ZOOM = 400;
+// Shortest clip that can be made by dragging an edge
+const MIN_CLIP_LENGTH = 0.1;
+const SNAP_OPTIONS = ['off', '0.1', '0.5', '1', '5'];
+const TICK_STEPS = [0.1, 0.5, 1, 2, 5, 10, 30, 60, 300];
+// Gain range shown over a clip's height, as the server clamps it
+const ENVELOPE_MAX_DB = 12;
+const ENVELOPE_MIN_DB = -60;
+const CLIP_HEIGHT = ROW_HEIGHT - 8;
+// Pixels between samples of a drawn envelope curve
+const ENVELOPE_STEP = 4;
+
+const formatTime = (time) => {
+  const minutes = Math.floor(time / 60);
+  const seconds = Math.floor(time % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Length a placement covers on the main track. A duration of 0 means "until
+// the end of the main track", same as on the server.
+const placementLength = (placement, mainAudioDuration) => {
+  return placement.duration || Math.max(0, mainAudioDuration - (placement.timestamp || 0));
+};
+
+const gainToY = (gain) => (ENVELOPE_MAX_DB - gain) / (ENVELOPE_MAX_DB - ENVELOPE_MIN_DB) * CLIP_HEIGHT;
+const yToGain = (y) => Math.round((ENVELOPE_MAX_DB - y / CLIP_HEIGHT * (ENVELOPE_MAX_DB - ENVELOPE_MIN_DB)) * 10) / 10;
+
+// Line through a clip's envelope, sampled so both interpolations draw true
+const envelopePath = (envelope, length, zoom) => {
+  const steps = Math.max(1, Math.ceil(length * zoom / ENVELOPE_STEP));
+  const coordinates = [];
+  for (let i = 0; i <= steps; i++) {
+    const time = length * i / steps;
+    const gain = Math.max(ENVELOPE_MIN_DB, 20 * Math.log10(envelopeGain(envelope, time)));
+    coordinates.push(`${(time * zoom).toFixed(1)},${gainToY(gain).toFixed(1)}`);
+  }
+  return coordinates.join(' ');
+};
+
+// Decode every file once and keep its peaks, keyed by File
+const useWaveforms = (files) => {
+  const [waveforms, setWaveforms] = useState(new Map());
+
+  useEffect(() => {
+    files.filter(file => !waveforms.has(file)).forEach(file => {
+      decodeAudioFile(file)
+        .then(buffer => {
+          setWaveforms(prev => prev.has(file) ? prev : new Map(prev).set(file, computePeaks(buffer)));
+        })
+        .catch(err => console.error(`Could not decode ${file.name}:`, err));
+    });
+  }, [files, waveforms]);
+
+  return waveforms;
+};
+
+// Horizontal multitrack view: the main track on top and one row per
+// background file with its placements as draggable, resizable blocks. The
+// selected clip shows its volume envelope with draggable keyframes.
+const Timeline = ({
+  mainAudio,
+  mainAudioDuration,
+  backgroundAudios,
+  currentTime,
+  onSeek,
+  onClipChange,
+  onEnvelopeChange,
+  selected,
+  onSelect
+}) => {
+  const [zoom, setZoom] = useState(20);
+  const [snap, setSnap] = useState('0.1');
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const files = [mainAudio, ...backgroundAudios.map(audio => audio.file)].filter(Boolean);
+  const waveforms = useWaveforms(files);
+
+  const snapTime = (time) => {
+    const grid = parseFloat(snap);
+    // Round away float noise like 0.30000000000000004
+    return Math.round((grid ? Math.round(time / grid) * grid : time) * 1000) / 1000;
+  };
+
+  const tickStep = TICK_STEPS.find(step => step * zoom >= 60) || TICK_STEPS[TICK_STEPS.length - 1];
+  const ticks = [];
+  for (let i = 0; i * tickStep <= mainAudioDuration; i++) {
+    ticks.push(i * tickStep);
+  }
+  const width = mainAudioDuration * zoom;
+
+  const handleClipPointerDown = (e, index, placementIndex, mode) => {
+    e.stopPropagation();
+    const placement = backgroundAudios[index].placements[placementIndex];
+    dragRef.current = {
+      index,
+      placementIndex,
+      mode,
+      startX: e.clientX,
+      timestamp: placement.timestamp || 0,
+      duration: placementLength(placement, mainAudioDuration),
+      hasDuration: Boolean(placement.duration),
+      sourceStart: placement.sourceStart || 0
+    };
+    containerRef.current.setPointerCapture(e.pointerId);
+    onSelect(index, placementIndex);
+  };
+
+  const envelopePoints = (index, placementIndex) => {
+    const envelope = resolveEnvelope(backgroundAudios[index].placements[placementIndex].envelope);
+    return envelope ? envelope.points : [];
+  };
+
+  const handleEnvelopePointerDown = (e, index, placementIndex, pointIndex) => {
+    e.stopPropagation();
+    const points = envelopePoints(index, placementIndex);
+    dragRef.current = {
+      index,
+      placementIndex,
+      mode: 'envelope',
+      startX: e.clientX,
+      startY: e.clientY,
+      points,
+      pointIndex,
+      length: placementLength(backgroundAudios[index].placements[placementIndex], mainAudioDuration)
+    };
+    containerRef.current.setPointerCapture(e.pointerId);
+  };
+
+  // Double-clicking the selected clip adds a keyframe where it was clicked
+  const handleEnvelopeDoubleClick = (e, index, placementIndex) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const time = Math.round((e.clientX - bounds.left) / zoom * 1000) / 1000;
+    const gain = yToGain(e.clientY - bounds.top);
+    const points = [...envelopePoints(index, placementIndex), { time, gain }].sort((a, b) => a.time - b.time);
+    onEnvelopeChange(index, placementIndex, points);
+  };
+
+  const handleEnvelopePointDoubleClick = (e, index, placementIndex, pointIndex) => {
+    e.stopPropagation();
+    onEnvelopeChange(index, placementIndex, envelopePoints(index, placementIndex).filter((_, i) => i !== pointIndex));
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) {
+      return;
+    }
+
+    if (drag.mode === 'envelope') {
+      // A keyframe stays between its neighbours so the order doesn't change
+      const { points, pointIndex } = drag;
+      const point = points[pointIndex];
+      const earliest = pointIndex > 0 ? points[pointIndex - 1].time : 0;
+      const latest = pointIndex < points.length - 1 ? points[pointIndex + 1].time : drag.length;
+      const time = Math.max(earliest, Math.min(point.time + (e.clientX - drag.startX) / zoom, latest));
+      const gain = Math.max(ENVELOPE_MIN_DB, Math.min(yToGain(gainToY(point.gain) + e.clientY - drag.startY), ENVELOPE_MAX_DB));
+      const moved = { time: Math.round(time * 1000) / 1000, gain };
+      onEnvelopeChange(drag.index, drag.placementIndex, points.map((p, i) => i === pointIndex ? moved : p));
+      return;
+    }
+
+    const delta = (e.clientX - drag.startX) / zoom;
+    const end = drag.timestamp + drag.duration;
+    const update = (field, value) => onClipChange(drag.index, drag.placementIndex, field, value);
+
+    if (drag.mode === 'move') {
+      // Keep the clip's length while it moves; the update handler clamps the rest
+      if (!drag.hasDuration) {
+        update('duration', drag.duration);
+      }
+      const timestamp = Math.max(0, Math.min(snapTime(drag.timestamp + delta), mainAudioDuration - drag.duration));
+      update('timestamp', timestamp);
+    } else if (drag.mode === 'end') {
+      update('duration', Math.max(MIN_CLIP_LENGTH, snapTime(end + delta) - drag.timestamp));
+    } else {
+      // Trimming the start moves the in-point with it so the audio under
+      // the rest of the clip stays where it was
+      const earliest = Math.max(0, drag.timestamp - drag.sourceStart);
+      const timestamp = Math.max(earliest, Math.min(snapTime(drag.timestamp + delta), end - MIN_CLIP_LENGTH));
+      update('timestamp', timestamp);
+      update('duration', end - timestamp);
+      update('sourceStart', drag.sourceStart + (timestamp - drag.timestamp));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (dragRef.current) {
+      dragRef.current = null;
+      containerRef.current.releasePointerCapture(e.pointerId);
+    }
+  };
+
+  const handleRulerClick = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    onSeek(Math.max(0, Math.min((e.clientX - bounds.left) / zoom, mainAudioDuration)));
+  };
+
+  if (!mainAudio || !mainAudioDuration) {
+    return <p className="text-sm text-muted-foreground">Upload a main track to see the timeline.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <Button type="button" variant="outline" size="icon" onClick={() => setZoom(Math.max(MIN_ZOOM, zoom / 2))}>
+          <ZoomOut className="h-4 w-4" />
+        </Button>
+        <Button type="button" variant="outline" size="icon" onClick={() => setZoom(Math.min(MAX_ZOOM, zoom * 2))}>
+          <ZoomIn className="h-4 w-4" />
+        </Button>
+        <Label htmlFor="timelineSnap" className="ml-4">Snap</Label>
+        <Select id="timelineSnap" className="w-24" value={snap} onChange={(e) => setSnap(e.target.value)}>
+          {SNAP_OPTIONS.map(option => (
+            <option key={option} value={option}>{option === 'off' ? 'Off' : `${option}s`}</option>
+          ))}
+        </Select>
+      </div>
+
+      <div className="flex border rounded-md">
+        <div className="w-20 shrink-0 border-r text-sm">
+          <div style={{ height: RULER_HEIGHT }} />
+          <div className="flex items-center px-2 border-t" style={{ height: ROW_HEIGHT }}>Main</div>
+          {backgroundAudios.map((_, index) => (
+            <div key={index} className="flex items-center px-2 border-t" style={{ height: ROW_HEIGHT }}>BG {index + 1}</div>
+          ))}
+        </div>
+
+        <div
+          ref={containerRef}
+          className="relative overflow-x-auto flex-1 select-none"
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        >
+          <div className="relative" style={{ width }}>
+            <div className="relative cursor-pointer text-xs text-muted-foreground" style={{ height: RULER_HEIGHT }} onClick={handleRulerClick}>
+              {ticks.map(time => (
+                <span key={time} className="absolute top-0 border-l pl-1" style={{ left: time * zoom }}>
+                  {tickStep < 1 ? `${time.toFixed(1)}s` : formatTime(time)}
+                </span>
+              ))}
+            </div>
+
+            <div className="relative border-t bg-gray-50" style={{ height: ROW_HEIGHT }}>
+              <Waveform waveform={waveforms.get(mainAudio)} length={mainAudioDuration} width={width} height={ROW_HEIGHT} />
+            </div>
+
+            {backgroundAudios.map((audio, index) => (
+              <div key={index} className="relative border-t" style={{ height: ROW_HEIGHT }}>
+                {audio.placements.map((placement, placementIndex) => {
+                  const length = placementLength(placement, mainAudioDuration);
+                  const isSelected = selected.index === index && selected.placement === placementIndex;
+                  const envelope = resolveEnvelope(placement.envelope);
+                  return (
+                    <div
+                      key={placementIndex}
+                      className={`absolute top-1 bottom-1 rounded bg-blue-200 overflow-hidden cursor-grab ${isSelected ? 'ring-2 ring-blue-600' : ''}`}
+                      style={{ left: (placement.timestamp || 0) * zoom, width: length * zoom }}
+                      onPointerDown={(e) => handleClipPointerDown(e, index, placementIndex, 'move')}
+                    >
+                      <Waveform
+                        waveform={waveforms.get(audio.file)}
+                        start={placement.sourceStart || 0}
+                        length={length}
+                        loop={placement.loop && placement.loop.enabled}
+                        width={length * zoom}
+                        height={ROW_HEIGHT - 8}
+                        color="#1e40af"
+                      />
+                      <span className="absolute top-0 left-2 text-xs">{placementIndex + 1}</span>
+                      {(envelope || isSelected) && (
+                        <svg
+                          className={`absolute inset-0 ${isSelected ? '' : 'pointer-events-none'}`}
+                          width={length * zoom}
+                          height={CLIP_HEIGHT}
+                          onDoubleClick={(e) => handleEnvelopeDoubleClick(e, index, placementIndex)}
+                        >
+                          {envelope && (
+                            <polyline points={envelopePath(envelope, length, zoom)} fill="none" stroke="#ea580c" strokeWidth="1.5" />
+                          )}
+                          {envelope && isSelected && envelope.points.map((point, pointIndex) => (
+                            <circle
+                              key={pointIndex}
+                              className="cursor-move"
+                              cx={point.time * zoom}
+                              cy={gainToY(point.gain)}
+                              r="4"
+                              fill="#ea580c"
+                              onPointerDown={(e) => handleEnvelopePointerDown(e, index, placementIndex, pointIndex)}
+                              onDoubleClick={(e) => handleEnvelopePointDoubleClick(e, index, placementIndex, pointIndex)}
+                            >
+                              <title>{`${point.time.toFixed(2)}s, ${point.gain.toFixed(1)} dB`}</title>
+                            </circle>
+                          ))}
+                        </svg>
+                      )}
+                      <div
+                        className="absolute inset-y-0 left-0 w-2 cursor-ew-resize"
+                        onPointerDown={(e) => handleClipPointerDown(e, index, placementIndex, 'start')}
+                      />
+                      <div
+                        className="absolute inset-y-0 right-0 w-2 cursor-ew-resize"
+                        onPointerDown={(e) => handleClipPointerDown(e, index, placementIndex, 'end')}
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+
+            <div className="absolute top-0 bottom-0 w-px bg-red-500 pointer-events-none" style={{ left: currentTime * zoom }} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Timeline;
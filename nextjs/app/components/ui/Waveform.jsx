@@ -0,0 +1,45 @@
+import React, { useEffect, useRef } from 'react';
+
+// Browsers refuse canvases much wider than this, so longer waveforms are
+// drawn at a lower resolution and stretched
+const MAX_CANVAS_WIDTH = 8192;
+
+// Draws `length` seconds of a waveform starting at `start` seconds into the
+// source. With `loop` set the source repeats from `start` once it runs out.
+const Waveform = ({ waveform, start = 0, length, loop = false, width, height, color = '#1f2937' }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !waveform || width <= 0) {
+      return;
+    }
+
+    const canvasWidth = Math.min(Math.ceil(width), MAX_CANVAS_WIDTH);
+    canvas.width = canvasWidth;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvasWidth, height);
+    context.fillStyle = color;
+
+    const { peaks, peaksPerSecond, duration } = waveform;
+    const segment = duration - start;
+    const middle = height / 2;
+    for (let x = 0; x < canvasWidth; x++) {
+      let time = (x / canvasWidth) * length;
+      if (time >= segment) {
+        if (!loop || segment <= 0) {
+          break;
+        }
+        time %= segment;
+      }
+      const peak = peaks[Math.floor((start + time) * peaksPerSecond)] || 0;
+      const barHeight = Math.max(1, peak * height);
+      context.fillRect(x, middle - barHeight / 2, 1, barHeight);
+    }
+  }, [waveform, start, length, loop, width, height, color]);
+
+  return <canvas ref={canvasRef} style={{ width, height }} className="block pointer-events-none" />;
+};
+
+export default Waveform;
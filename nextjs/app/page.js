@@ -7,32 +7,84 @@ import { Label } from "./components/ui/label";
 import { Card, CardContent } from "./components/ui/card";
 import { Alert, AlertDescription } from "./components/ui/alert";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "./components/ui/tabs";
-import { Play, Pause, SkipBack, SkipForward, Upload, Sliders, Volume2, Download } from 'lucide-react';
+import { Play, Pause, Square, SkipBack, SkipForward, Upload, Sliders, Volume2, Download, Plus, Trash2 } from 'lucide-react';
 import { Button } from './components/ui/button';
+import { Progress } from "./components/ui/progress";
 import AudioPlayer from './components/ui/AudioPlayer'
+import ExportSettings from './components/ui/ExportSettings'
+import ProjectControls from './components/ui/ProjectControls'
+import AssetPicker from './components/ui/AssetPicker'
+import RenderHistory from './components/ui/RenderHistory'
+import PlacementEditor, { createPlacement } from './components/ui/PlacementEditor'
+import Timeline from './components/ui/Timeline'
+import FieldError from './components/ui/FieldError'
+import MainTrackSettings, { DEFAULT_MAIN_CHAIN } from './components/ui/MainTrackSettings'
+import { createMixPreview, resolvePreviewClips, fitFadeOut, placementLength } from '@/lib/preview'
+import { peaksFromWaveformData } from '@/lib/audio'
+import { apiError } from '@/lib/api'
+
+// Where on the page an error about a request field is shown
+const FIELD_FOR_ERROR = {
+  mainAudio: 'mainAudio',
+  mainAssetId: 'mainAudio',
+  mainAudioMetadata: 'mainChain',
+  backgroundAudios: 'backgroundAudios',
+  backgroundAssetIds: 'backgroundAudios',
+  backgroundAudioMetadata: 'placements',
+  outputSettings: 'outputSettings'
+};
 
 export default function AudioProcessingApp() {
   const [mainAudio, setMainAudio] = useState(null);
+  // Id of the stored copy of the main audio, once it's been uploaded
+  const [mainAssetId, setMainAssetId] = useState(null);
   const [mainVolume, setMainVolume] = useState(100);
+  // Processing applied to the main track when rendering
+  const [mainChain, setMainChain] = useState(DEFAULT_MAIN_CHAIN);
   const [backgroundAudios, setBackgroundAudios] = useState([]);
   const [processing, setProcessing] = useState(false);
   const [downloadUrl, setDownloadUrl] = useState('');
   const [error, setError] = useState('');
+  // Errors shown next to a specific input, by FIELD_FOR_ERROR key
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isPlaying, setIsPlaying] = useState(false);
   const [progress, setProgress] = useState(0);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [activeTrack, setActiveTrack] = useState('main');
+  const [activePlacement, setActivePlacement] = useState(0);
   const [isAudioLoaded, setIsAudioLoaded] = useState(false);
   const [mainAudioDuration, setMainAudioDuration] = useState(0);
+  const [jobPercent, setJobPercent] = useState(0);
+  const [jobStage, setJobStage] = useState('');
+  const [outputSettings, setOutputSettings] = useState({
+    format: 'aac',
+    bitrate: '',
+    sampleRate: '',
+    channels: '',
+    loudness: { target: '', truePeak: '' }
+  });
+  const [loudnessReport, setLoudnessReport] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [outputWaveform, setOutputWaveform] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [storedAssets, setStoredAssets] = useState([]);
+  const [renders, setRenders] = useState([]);
+  const [projectId, setProjectId] = useState(null);
+  const [projectName, setProjectName] = useState('Untitled project');
+  const [projectBusy, setProjectBusy] = useState(false);
   const howlRef = useRef(null);
   const animationRef = useRef(null);
+  const previewRef = useRef(null);
 
   useEffect(() => {
     return () => {
       if (howlRef.current) {
         howlRef.current.unload();
       }
+      if (previewRef.current) {
+        previewRef.current.stop();
+      }
       cancelAnimationFrame(animationRef.current);
     };
   }, []);
@@ -47,92 +99,283 @@ export default function AudioProcessingApp() {
     return () => cancelAnimationFrame(animationRef.current);
   }, [isPlaying, isAudioLoaded]);
 
-  const isAacFile = (file) => {
-    return file.type === 'audio/aac' || file.name.toLowerCase().endsWith('.aac');
+  // Follow the preview's position with the playhead
+  useEffect(() => {
+    if (!previewing) {
+      return;
+    }
+    let frame;
+    const tick = () => {
+      setCurrentTime(previewRef.current.currentTime());
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [previewing]);
+
+  // Make every change to the mix audible while the preview plays
+  useEffect(() => {
+    if (previewing) {
+      previewRef.current.update({
+        mainFile: mainAudio,
+        mainDuration: mainAudioDuration,
+        mainVolume: mainVolume / 100,
+        clips: resolvePreviewClips(backgroundAudios, mainAudioDuration)
+      });
+    }
+  }, [previewing, mainAudio, mainAudioDuration, mainVolume, backgroundAudios]);
+
+  useEffect(() => {
+    refreshProjects();
+    refreshStoredAssets();
+    refreshRenders();
+  }, []);
+
+  const refreshRenders = () => {
+    return fetch('http://localhost:5001/renders')
+      .then(res => res.json())
+      .then(data => setRenders(data.renders || []))
+      .catch(err => console.error('Could not load the render history:', err));
+  };
+
+  const refreshStoredAssets = () => {
+    return fetch('http://localhost:5001/assets?kind=upload')
+      .then(res => res.json())
+      .then(data => setStoredAssets(data.assets || []))
+      .catch(err => console.error('Could not load stored files:', err));
+  };
+
+  const refreshProjects = () => {
+    return fetch('http://localhost:5001/projects')
+      .then(res => res.json())
+      .then(data => setProjects(data.projects || []))
+      .catch(err => console.error('Could not load projects:', err));
+  };
+
+  // Browsers don't always report a MIME type for formats like FLAC or Opus,
+  // so fall back to the extension. The backend probes every file anyway.
+  const isAudioFile = (file) => {
+    return file.type.startsWith('audio/') || /\.(aac|m4a|mp3|wav|flac|ogg|oga|opus|aiff?|wma|webm)$/i.test(file.name);
+  };
+
+  const clearErrors = () => {
+    setError('');
+    setFieldErrors({});
+  };
+
+  // Show an error next to the input it is about, or in the alert below the
+  // export settings when it isn't about a single input
+  const showError = (err, prefix = '') => {
+    const field = FIELD_FOR_ERROR[err.field];
+    if (!field) {
+      setError(`${prefix}${err.message}`);
+      return;
+    }
+    const index = err.details && Number.isInteger(err.details.index) && field === 'backgroundAudios'
+      ? `BG ${err.details.index + 1}: `
+      : '';
+    setFieldErrors({ [field]: `${index}${err.message}` });
+  };
+
+  const loadDuration = (file) => {
+    return new Promise(resolve => {
+      const audio = new Audio(URL.createObjectURL(file));
+      audio.onloadedmetadata = () => resolve(audio.duration);
+    });
   };
 
   const handleMainAudioChange = (e) => {
     const file = e.target.files[0];
-    if (file && isAacFile(file)) {
+    if (file && isAudioFile(file)) {
       setMainAudio(file);
-      setError('');
+      setMainAssetId(null);
+      clearErrors();
       // Get the duration of the main audio file
-      const audio = new Audio(URL.createObjectURL(file));
-      audio.onloadedmetadata = () => {
-        setMainAudioDuration(audio.duration);
-      };
+      loadDuration(file).then(setMainAudioDuration);
     } else {
       setMainAudio(null);
+      setMainAssetId(null);
       setMainAudioDuration(0);
-      setError('Please select an AAC file for the main audio.');
+      setFieldErrors({ mainAudio: 'Please select an audio file for the main audio.' });
     }
   };
 
   const handleBackgroundAudioChange = (e) => {
     const files = Array.from(e.target.files);
-    const aacFiles = files.filter(isAacFile);
-    if (aacFiles.length === files.length) {
+    const audioFiles = files.filter(isAudioFile);
+    if (audioFiles.length === files.length) {
       setBackgroundAudios(prevAudios => [
         ...prevAudios,
-        ...aacFiles.map(file => ({ file, timestamp: 0, volume: 1, duration: 0 }))
+        ...audioFiles.map((file, i) => ({
+          file,
+          assetId: null,
+          sourceDuration: 0,
+          // Every file starts out on its own track with a single placement
+          placements: [createPlacement(prevAudios.length + i + 1)]
+        }))
       ]);
-      setError('');
+      clearErrors();
+      // Look up each file's length so the source start can be limited to it
+      audioFiles.forEach(file => {
+        const audio = new Audio(URL.createObjectURL(file));
+        audio.onloadedmetadata = () => {
+          setBackgroundAudios(prevAudios =>
+            prevAudios.map(bg => bg.file === file ? { ...bg, sourceDuration: audio.duration } : bg)
+          );
+        };
+      });
     } else {
-      setError('Please select only AAC files for the background audios.');
+      setFieldErrors({ backgroundAudios: 'Please select only audio files for the background audios.' });
     }
   };
 
-  const handleBackgroundAudioUpdate = (index, field, value) => {
+  // Apply `update` to one placement of a background file
+  const updatePlacement = (index, placementIndex, update) => {
     setBackgroundAudios(prevAudios =>
-      prevAudios.map((audio, i) => {
-        if (i === index) {
-          let newValue = isNaN(value) ? 0 : value;
-          let updatedAudio = { ...audio, [field]: newValue };
-
-          let timestamp = parseFloat(updatedAudio.timestamp) || 0;
-          let duration = parseFloat(updatedAudio.duration) || 0;
-
-          if (field === 'timestamp') {
-            // Ensure timestamp is within 0 and mainAudioDuration
-            timestamp = Math.max(0, Math.min(newValue, mainAudioDuration));
-            updatedAudio.timestamp = timestamp;
-            // Adjust duration if necessary
-            if (timestamp + duration > mainAudioDuration) {
-              duration = mainAudioDuration - timestamp;
-              updatedAudio.duration = duration;
-            }
-          } else if (field === 'duration') {
-            // Ensure duration is within 0 and (mainAudioDuration - timestamp)
-            duration = Math.max(0, Math.min(newValue, mainAudioDuration - timestamp));
-            updatedAudio.duration = duration;
-          }
-
-          return updatedAudio;
+      prevAudios.map((audio, i) => i === index ? {
+        ...audio,
+        placements: audio.placements.map((placement, p) => p === placementIndex ? update(placement, audio) : placement)
+      } : audio)
+    );
+  };
+
+  const handleBackgroundAudioUpdate = (index, placementIndex, field, value) => {
+    updatePlacement(index, placementIndex, (placement, audio) => {
+      let newValue = isNaN(value) ? 0 : value;
+      let updatedPlacement = { ...placement, [field]: newValue };
+
+      let timestamp = parseFloat(updatedPlacement.timestamp) || 0;
+      let duration = parseFloat(updatedPlacement.duration) || 0;
+
+      if (field === 'timestamp') {
+        // Ensure timestamp is within 0 and mainAudioDuration
+        timestamp = Math.max(0, Math.min(newValue, mainAudioDuration));
+        updatedPlacement.timestamp = timestamp;
+        // Adjust duration if necessary
+        if (timestamp + duration > mainAudioDuration) {
+          duration = mainAudioDuration - timestamp;
+          updatedPlacement.duration = duration;
         }
-        return audio;
-      })
+      } else if (field === 'duration') {
+        // Ensure duration is within 0 and (mainAudioDuration - timestamp)
+        duration = Math.max(0, Math.min(newValue, mainAudioDuration - timestamp));
+        updatedPlacement.duration = duration;
+      } else if (field === 'sourceStart') {
+        // Ensure the source start lies inside the background file
+        const maxSourceStart = audio.sourceDuration || Infinity;
+        updatedPlacement.sourceStart = Math.max(0, Math.min(newValue, maxSourceStart));
+      }
+
+      return updatedPlacement;
+    });
+  };
+
+  // Update one field of a nested settings object (e.g. `duck` or `fadeIn`)
+  const handleBackgroundSettingUpdate = (index, placementIndex, group, field, value) => {
+    updatePlacement(index, placementIndex, placement => ({
+      ...placement,
+      [group]: { ...placement[group], [field]: value }
+    }));
+  };
+
+  const handleAddPlacement = (index) => {
+    const audio = backgroundAudios[index];
+    const last = audio.placements[audio.placements.length - 1];
+    setBackgroundAudios(prevAudios =>
+      prevAudios.map((bg, i) => i === index ? {
+        ...bg,
+        placements: [...bg.placements, createPlacement(last.track, { volume: last.volume })]
+      } : bg)
+    );
+    setActivePlacement(audio.placements.length);
+  };
+
+  const handleRemovePlacement = (index, placementIndex) => {
+    setBackgroundAudios(prevAudios =>
+      prevAudios.map((bg, i) => i === index ? {
+        ...bg,
+        placements: bg.placements.filter((_, p) => p !== placementIndex)
+      } : bg)
     );
+    setActivePlacement(Math.max(0, placementIndex - 1));
+  };
+
+  const handleActiveTrackChange = (value) => {
+    setActiveTrack(value);
+    setActivePlacement(0);
+  };
+
+  // Selecting a clip on the timeline opens its settings below
+  const handleTimelineSelect = (index, placementIndex) => {
+    setActiveTrack(`bg${index}`);
+    setActivePlacement(placementIndex);
+  };
+
+  const handlePreviewToggle = () => {
+    if (!previewRef.current) {
+      previewRef.current = createMixPreview({ onEnded: () => setPreviewing(false) });
+    }
+
+    if (previewing) {
+      previewRef.current.stop();
+      setPreviewing(false);
+      return;
+    }
+
+    // Only one of the preview and the rendered file plays at a time
+    if (howlRef.current && isPlaying) {
+      howlRef.current.pause();
+      setIsPlaying(false);
+    }
+    const offset = currentTime < mainAudioDuration ? currentTime : 0;
+    previewRef.current.play({
+      mainFile: mainAudio,
+      mainDuration: mainAudioDuration,
+      mainVolume: mainVolume / 100,
+      clips: resolvePreviewClips(backgroundAudios, mainAudioDuration)
+    }, offset)
+      .catch(err => {
+        previewRef.current.stop();
+        setPreviewing(false);
+        setError(`Could not play the preview: ${err.message}`);
+      });
+    setPreviewing(true);
   };
 
   const handleSeek = (time) => {
-    if (howlRef.current) {
-      howlRef.current.seek(time);
+    if (previewing) {
+      previewRef.current.seek(time);
+      setCurrentTime(time);
+    } else {
+      if (howlRef.current) {
+        howlRef.current.seek(time);
+      }
+      // Also where the next preview starts
       setCurrentTime(time);
     }
   };
 
+  // Like the background volumes this goes into the next render, so the
+  // processed file isn't turned down a second time while playing
   const handleMainVolumeChange = (value) => {
     setMainVolume(value);
-    if (howlRef.current) {
-      howlRef.current.volume(value / 100);
-    }
   };
 
+  // The player's per-file volume slider sets every placement of that file
   const handleBackgroundVolumeChange = (index, value) => {
-    handleBackgroundAudioUpdate(index, 'volume', value / 100);
+    setBackgroundAudios(prevAudios =>
+      prevAudios.map((audio, i) => i === index ? {
+        ...audio,
+        placements: audio.placements.map(placement => ({ ...placement, volume: value / 100 }))
+      } : audio)
+    );
   };
 
   const handlePlayPause = () => {
+    if (previewing) {
+      previewRef.current.stop();
+      setPreviewing(false);
+    }
     if (howlRef.current) {
       if (isPlaying) {
         howlRef.current.pause();
@@ -152,27 +395,321 @@ export default function AudioProcessingApp() {
     }
   };
 
+  // Follow the processing job over Server-Sent Events until it finishes
+  const waitForJob = (eventsUrl) => {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`http://localhost:5001${eventsUrl}`);
+
+      source.addEventListener('stage', (e) => {
+        setJobStage(JSON.parse(e.data).stage);
+      });
+      source.addEventListener('progress', (e) => {
+        setJobPercent(JSON.parse(e.data).percent || 0);
+      });
+      source.addEventListener('done', (e) => {
+        source.close();
+        resolve(JSON.parse(e.data));
+      });
+      source.addEventListener('failed', (e) => {
+        source.close();
+        reject(apiError(JSON.parse(e.data), 'Processing failed'));
+      });
+      source.onerror = () => {
+        // EventSource reconnects on its own unless the connection is closed for good
+        if (source.readyState === EventSource.CLOSED) {
+          reject(new Error('Lost connection to the server'));
+        }
+      };
+    });
+  };
+
+  // Placements of every background file as the backend expects them
+  const buildBackgroundMetadata = () => {
+    return backgroundAudios.map(audio => ({
+      placements: audio.placements.map(placement => {
+        const duration = placementLength(placement, audio.sourceDuration, mainAudioDuration);
+        return {
+          timestamp: parseFloat(placement.timestamp) || 0,
+          sourceStart: parseFloat(placement.sourceStart) || 0,
+          volume: placement.volume ?? 1,
+          duration,
+          track: placement.track,
+          crossfade: parseFloat(placement.crossfade) || 0,
+          fadeIn: placement.fadeIn,
+          fadeOut: fitFadeOut(placement.fadeOut, placement.fadeIn, duration),
+          loop: placement.loop,
+          duck: placement.duck,
+          stereo: placement.stereo,
+          eq: placement.eq,
+          reverb: placement.reverb,
+          envelope: placement.envelope
+        };
+      })
+    }));
+  };
+
+  // Upload the files the server doesn't have yet. Resolves with the asset
+  // ids of the main file and of every background file.
+  const storeAssets = async () => {
+    const pending = [
+      ...(mainAssetId ? [] : [mainAudio]),
+      ...backgroundAudios.filter(audio => !audio.assetId).map(audio => audio.file)
+    ];
+    let stored = [];
+    if (pending.length > 0) {
+      const formData = new FormData();
+      pending.forEach(file => formData.append('files', file));
+      const response = await fetch('http://localhost:5001/assets', { method: 'POST', body: formData });
+      const data = await response.json();
+      if (!response.ok) {
+        const err = apiError(data, 'Upload failed');
+        // Point errors about one of the uploaded files at the main or
+        // background input it came from
+        if (err.field === 'files' && err.details && Number.isInteger(err.details.index)) {
+          const index = err.details.index - (mainAssetId ? 0 : 1);
+          const pendingBackgrounds = backgroundAudios.map((audio, i) => audio.assetId ? null : i).filter(i => i !== null);
+          err.field = index < 0 ? 'mainAudio' : 'backgroundAudios';
+          err.details.index = pendingBackgrounds[index];
+        }
+        throw err;
+      }
+      stored = data.assets.map(asset => asset.id);
+    }
+
+    if (stored.length > 0) {
+      refreshStoredAssets();
+    }
+    const mainId = mainAssetId || stored.shift();
+    const backgroundIds = backgroundAudios.map(audio => audio.assetId || stored.shift());
+    setMainAssetId(mainId);
+    setBackgroundAudios(prevAudios => prevAudios.map((audio, i) => ({ ...audio, assetId: backgroundIds[i] })));
+    return { mainId, backgroundIds };
+  };
+
+  const handleSaveProject = async () => {
+    setProjectBusy(true);
+    clearErrors();
+    try {
+      const { mainId, backgroundIds } = await storeAssets();
+      const metadata = buildBackgroundMetadata();
+      const project = {
+        schemaVersion: 1,
+        name: projectName,
+        mainAudio: { assetId: mainId, volume: mainVolume / 100, ...mainChain },
+        backgroundAudios: metadata.map((audio, i) => ({ assetId: backgroundIds[i], placements: audio.placements })),
+        outputSettings
+      };
+      const response = await fetch(`http://localhost:5001/projects${projectId ? `/${projectId}` : ''}`, {
+        method: projectId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(project)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw apiError(data, 'Could not save the project');
+      }
+      setProjectId(data.id);
+      setProjectName(data.name);
+      refreshProjects();
+    } catch (err) {
+      showError(err);
+    } finally {
+      setProjectBusy(false);
+    }
+  };
+
+  // Download a stored asset back into a File so it can be previewed and
+  // drawn like a local upload
+  const fetchAsset = async (assetId) => {
+    const [info, blob] = await Promise.all([
+      fetch(`http://localhost:5001/assets/${assetId}`).then(res => res.json()),
+      fetch(`http://localhost:5001/assets/${assetId}/file`).then(res => res.blob())
+    ]);
+    return { file: new File([blob], info.name, { type: blob.type }), duration: info.duration };
+  };
+
+  const handleOpenProject = async (id) => {
+    setProjectBusy(true);
+    clearErrors();
+    try {
+      const response = await fetch(`http://localhost:5001/projects/${id}`);
+      const project = await response.json();
+      if (!response.ok) {
+        throw apiError(project, 'Could not open the project');
+      }
+
+      const [main, ...backgrounds] = await Promise.all([
+        fetchAsset(project.mainAudio.assetId),
+        ...project.backgroundAudios.map(audio => fetchAsset(audio.assetId))
+      ]);
+
+      if (previewing) {
+        previewRef.current.stop();
+        setPreviewing(false);
+      }
+      setProjectId(project.id);
+      setProjectName(project.name);
+      setMainAudio(main.file);
+      setMainAssetId(project.mainAudio.assetId);
+      setMainAudioDuration(main.duration);
+      const { assetId, volume, ...chain } = project.mainAudio;
+      setMainVolume(Math.round(volume * 100));
+      setMainChain({ ...DEFAULT_MAIN_CHAIN, ...chain });
+      setBackgroundAudios(project.backgroundAudios.map((audio, i) => ({
+        file: backgrounds[i].file,
+        assetId: audio.assetId,
+        sourceDuration: backgrounds[i].duration,
+        placements: audio.placements.map(placement => createPlacement(placement.track, placement))
+      })));
+      setOutputSettings(prev => ({ ...prev, ...project.outputSettings }));
+      setActiveTrack('main');
+      setActivePlacement(0);
+      setCurrentTime(0);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setProjectBusy(false);
+    }
+  };
+
+  const handlePickMainAsset = async (asset) => {
+    try {
+      const { file, duration } = await fetchAsset(asset.id);
+      setMainAudio(file);
+      setMainAssetId(asset.id);
+      setMainAudioDuration(duration);
+      clearErrors();
+    } catch (err) {
+      setError(`Could not load ${asset.name}: ${err.message}`);
+    }
+  };
+
+  const handlePickBackgroundAsset = async (asset) => {
+    try {
+      const { file, duration } = await fetchAsset(asset.id);
+      setBackgroundAudios(prevAudios => [
+        ...prevAudios,
+        {
+          file,
+          assetId: asset.id,
+          sourceDuration: duration,
+          placements: [createPlacement(prevAudios.length + 1)]
+        }
+      ]);
+      clearErrors();
+    } catch (err) {
+      setError(`Could not load ${asset.name}: ${err.message}`);
+    }
+  };
+
+  const handleDeleteProject = async (id) => {
+    if (!window.confirm('Delete this project? The uploaded files are kept.')) {
+      return;
+    }
+    const response = await fetch(`http://localhost:5001/projects/${id}`, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) {
+      setError('Could not delete the project');
+    }
+    if (id === projectId) {
+      setProjectId(null);
+    }
+    refreshProjects();
+  };
+
+  // Load a finished render into the player. `render` needs its
+  // `downloadUrl`, `format` and `peaksUrl`, and may carry a loudness report.
+  const loadProcessedAudio = (render) => {
+    const processedAudioUrl = `http://localhost:5001${render.downloadUrl}`;
+    setDownloadUrl(processedAudioUrl);
+    setLoudnessReport(render.loudness || null);
+
+    // The waveform is only decoration, so a failure here isn't an error
+    setOutputWaveform(null);
+    fetch(`http://localhost:5001${render.peaksUrl}?zoom=1024`)
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+      .then(waveform => setOutputWaveform(peaksFromWaveformData(waveform)))
+      .catch(err => console.error('Could not load the waveform of the processed audio:', err));
+
+    if (howlRef.current) {
+      howlRef.current.unload();
+    }
+    setIsPlaying(false);
+    setIsAudioLoaded(false);
+    setProgress(0);
+    setCurrentTime(0);
+
+    // Create a new Howl instance with the processed audio
+    howlRef.current = new Howl({
+      src: [processedAudioUrl],
+      format: [render.format],
+      // Stream through an <audio> element so playback starts before the
+      // whole file has downloaded; the server answers its Range requests
+      html5: true,
+      onload: () => {
+        setDuration(howlRef.current.duration());
+        setIsAudioLoaded(true);
+      },
+      onplay: () => {
+        setIsPlaying(true);
+        animationRef.current = requestAnimationFrame(updateProgress);
+      },
+      onpause: () => {
+        setIsPlaying(false);
+        cancelAnimationFrame(animationRef.current);
+      },
+      onstop: () => {
+        setIsPlaying(false);
+        setProgress(0);
+        setCurrentTime(0);
+        cancelAnimationFrame(animationRef.current);
+      },
+      onend: () => {
+        setIsPlaying(false);
+        setProgress(100);
+        cancelAnimationFrame(animationRef.current);
+      },
+    });
+  };
+
+  // Play an earlier render from the history
+  const handlePlayRender = (render) => {
+    if (previewing) {
+      previewRef.current.stop();
+      setPreviewing(false);
+    }
+    loadProcessedAudio({
+      downloadUrl: render.downloadUrl,
+      format: render.parameters.outputSettings.name,
+      peaksUrl: `/assets/${render.outputAssetId}/peaks`,
+      loudness: render.loudness
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setProcessing(true);
-    setError('');
+    clearErrors();
     setDownloadUrl('');
+    setLoudnessReport(null);
     setProgress(0);
+    setJobPercent(0);
+    setJobStage('queued');
 
     const formData = new FormData();
-    formData.append('mainAudio', mainAudio);
-    
-    const backgroundMetadata = backgroundAudios.map(audio => ({
-      timestamp: parseFloat(audio.timestamp) || 0,
-      volume: parseFloat(audio.volume) || 1,
-      duration: parseFloat(audio.duration) || (mainAudioDuration - (parseFloat(audio.timestamp) || 0))
-    }));
-
-    backgroundAudios.forEach((audio, index) => {
-      formData.append('backgroundAudios', audio.file);
-    });
+    // Files that are already stored on the server don't need uploading again
+    if (mainAssetId && backgroundAudios.every(audio => audio.assetId)) {
+      formData.append('mainAssetId', mainAssetId);
+      formData.append('backgroundAssetIds', JSON.stringify(backgroundAudios.map(audio => audio.assetId)));
+    } else {
+      formData.append('mainAudio', mainAudio);
+      backgroundAudios.forEach((audio, index) => {
+        formData.append('backgroundAudios', audio.file);
+      });
+    }
 
-    formData.append('backgroundAudioMetadata', JSON.stringify(backgroundMetadata));
+    formData.append('mainAudioMetadata', JSON.stringify({ volume: mainVolume / 100, ...mainChain }));
+    formData.append('backgroundAudioMetadata', JSON.stringify(buildBackgroundMetadata()));
+    formData.append('outputSettings', JSON.stringify(outputSettings));
 
     try {
       const response = await fetch('http://localhost:5001/process', {
@@ -184,39 +721,19 @@ export default function AudioProcessingApp() {
       if (contentType && contentType.indexOf("application/json") !== -1) {
         const data = await response.json();
         if (!response.ok) {
-          throw new Error(data.error || 'Processing failed');
+          throw apiError(data, 'Processing failed');
         }
-        const processedAudioUrl = `http://localhost:5001${data.downloadUrl}?mainAudio=${encodeURIComponent(mainAudio.name)}`;
-        setDownloadUrl(processedAudioUrl);
-        
-        // Create a new Howl instance with the processed audio
-        howlRef.current = new Howl({
-          src: [processedAudioUrl],
-          format: ['aac'],
-          onload: () => {
-            setDuration(howlRef.current.duration());
-            setIsAudioLoaded(true);
-          },
-          onplay: () => {
-            setIsPlaying(true);
-            animationRef.current = requestAnimationFrame(updateProgress);
-          },
-          onpause: () => {
-            setIsPlaying(false);
-            cancelAnimationFrame(animationRef.current);
-          },
-          onstop: () => {
-            setIsPlaying(false);
-            setProgress(0);
-            setCurrentTime(0);
-            cancelAnimationFrame(animationRef.current);
-          },
-          onend: () => {
-            setIsPlaying(false);
-            setProgress(100);
-            cancelAnimationFrame(animationRef.current);
-          },
-        });
+        // Remember the stored copies so the next render doesn't upload again
+        setMainAssetId(data.inputs[0].assetId);
+        setBackgroundAudios(prevAudios => prevAudios.map((audio, i) => ({
+          ...audio,
+          assetId: data.inputs[i + 1] ? data.inputs[i + 1].assetId : audio.assetId
+        })));
+        refreshStoredAssets();
+
+        const job = await waitForJob(data.eventsUrl);
+        loadProcessedAudio(job);
+        refreshRenders();
 
       } else {
         const text = await response.text();
@@ -225,26 +742,48 @@ export default function AudioProcessingApp() {
       }
     } catch (err) {
       console.error('Error details:', err);
-      setError(`Processing failed: ${err.message}`);
+      showError(err, 'Processing failed: ');
     } finally {
       setProcessing(false);
     }
   };
 
+  const activeBackgroundIndex = activeTrack === 'main' ? -1 : parseInt(activeTrack.slice(2));
+  const activeBackground = backgroundAudios[activeBackgroundIndex];
+
   return (
     <div className="container mx-auto p-6 space-y-6">
       <h1 className="text-3xl font-bold mb-6 text-center">Audio Processing App</h1>
+      <Card>
+        <CardContent className="p-6">
+          <ProjectControls
+            projects={projects}
+            projectId={projectId}
+            projectName={projectName}
+            onNameChange={setProjectName}
+            onSave={handleSaveProject}
+            onOpen={handleOpenProject}
+            onDelete={handleDeleteProject}
+            busy={projectBusy || processing}
+            canSave={Boolean(mainAudio) && backgroundAudios.length > 0}
+          />
+        </CardContent>
+      </Card>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         <Card>
           <CardContent className="p-6">
             <h2 className="text-2xl font-bold mb-4">Main Track</h2>
             <div className="space-y-4">
               <div>
-                <Label htmlFor="mainAudio">Upload Main Audio (AAC only)</Label>
+                <Label htmlFor="mainAudio">Upload Main Audio</Label>
                 <div className="flex mt-1">
-                  <Input id="mainAudio" type="file" accept="audio/aac,.aac" onChange={handleMainAudioChange} />
+                  <Input id="mainAudio" type="file" accept="audio/*" onChange={handleMainAudioChange} />
                   <Button type="button" variant="outline" size="icon" className="ml-2"><Upload className="h-4 w-4" /></Button>
                 </div>
+                <FieldError message={fieldErrors.mainAudio} />
+                <div className="mt-2">
+                  <AssetPicker id="mainAsset" assets={storedAssets} onPick={handlePickMainAsset} disabled={processing} />
+                </div>
               </div>
             </div>
           </CardContent>
@@ -255,54 +794,62 @@ export default function AudioProcessingApp() {
             <h2 className="text-2xl font-bold mb-4">Background Tracks</h2>
             <div className="space-y-4">
               <div>
-                <Label htmlFor="backgroundAudios">Upload Background Audios (AAC only)</Label>
+                <Label htmlFor="backgroundAudios">Upload Background Audios</Label>
                 <div className="flex mt-1">
-                  <Input id="backgroundAudios" type="file" accept="audio/aac,.aac" multiple onChange={handleBackgroundAudioChange} />
+                  <Input id="backgroundAudios" type="file" accept="audio/*" multiple onChange={handleBackgroundAudioChange} />
                   <Button type="button" variant="outline" size="icon" className="ml-2"><Upload className="h-4 w-4" /></Button>
                 </div>
+                <FieldError message={fieldErrors.backgroundAudios} />
+                <div className="mt-2">
+                  <AssetPicker id="backgroundAsset" assets={storedAssets} onPick={handlePickBackgroundAsset} disabled={processing} />
+                </div>
               </div>
-              <Tabs value={activeTrack} onValueChange={setActiveTrack}>
+              <Tabs value={activeTrack} onValueChange={handleActiveTrackChange}>
                 <TabsList>
                   <TabsTrigger value="main">Main</TabsTrigger>
                   {backgroundAudios.map((_, index) => (
                     <TabsTrigger key={index} value={`bg${index}`}>BG {index + 1}</TabsTrigger>
                   ))}
                 </TabsList>
-                {activeTrack !== 'main' && (
+                <TabsContent value="main" className="space-y-4">
+                  <MainTrackSettings chain={mainChain} onChange={setMainChain} disabled={processing} />
+                  <FieldError message={fieldErrors.mainChain} />
+                </TabsContent>
+                {activeBackground && (
                   <TabsContent value={activeTrack} className="space-y-4">
                     <div>
-                      <Label>Timestamp (s)</Label>
-                      <Input
-                        type="number"
-                        min="0"
-                        max={mainAudioDuration}
-                        step="0.1"
-                        value={backgroundAudios[parseInt(activeTrack.slice(2))]?.timestamp || 0}
-                        onChange={(e) => handleBackgroundAudioUpdate(parseInt(activeTrack.slice(2)), 'timestamp', parseFloat(e.target.value) || 0)}
-                      />
-                    </div>
-                    <div>
-                      <Label>Duration (s)</Label>
-                      <Input
-                        type="number"
-                        min="0"
-                        max={mainAudioDuration - (backgroundAudios[parseInt(activeTrack.slice(2))]?.timestamp || 0)}
-                        step="0.1"
-                        value={backgroundAudios[parseInt(activeTrack.slice(2))]?.duration || 0}
-                        onChange={(e) => handleBackgroundAudioUpdate(parseInt(activeTrack.slice(2)), 'duration', parseFloat(e.target.value) || 0)}
-                      />
+                      <Label>Placements</Label>
+                      <div className="flex flex-wrap gap-2 mt-1">
+                        {activeBackground.placements.map((placement, p) => (
+                          <Button
+                            key={p}
+                            type="button"
+                            size="sm"
+                            variant={p === activePlacement ? 'default' : 'outline'}
+                            onClick={() => setActivePlacement(p)}
+                          >
+                            {p + 1}: {Number(placement.timestamp).toFixed(1)}s
+                          </Button>
+                        ))}
+                        <Button type="button" size="sm" variant="outline" onClick={() => handleAddPlacement(activeBackgroundIndex)}>
+                          <Plus className="h-4 w-4" />
+                        </Button>
+                        {activeBackground.placements.length > 1 && (
+                          <Button type="button" size="sm" variant="outline" onClick={() => handleRemovePlacement(activeBackgroundIndex, activePlacement)}>
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        )}
+                      </div>
                     </div>
-                    <div>
-                      <Label>Volume</Label>
-                      <Input
-                        type="range"
-                        min="0"
-                        max="100"
-                        step="1"
-                        value={(backgroundAudios[parseInt(activeTrack.slice(2))]?.volume || 1) * 100}
-                        onChange={(e) => handleBackgroundVolumeChange(parseInt(activeTrack.slice(2)), parseInt(e.target.value))}
+                    {activeBackground.placements[activePlacement] && (
+                      <PlacementEditor
+                        placement={activeBackground.placements[activePlacement]}
+                        mainAudioDuration={mainAudioDuration}
+                        sourceDuration={activeBackground.sourceDuration}
+                        onChange={(field, value) => handleBackgroundAudioUpdate(activeBackgroundIndex, activePlacement, field, value)}
+                        onSettingChange={(group, field, value) => handleBackgroundSettingUpdate(activeBackgroundIndex, activePlacement, group, field, value)}
                       />
-                    </div>
+                    )}
                   </TabsContent>
                 )}
               </Tabs>
@@ -311,26 +858,73 @@ export default function AudioProcessingApp() {
         </Card>
       </div>
 
+      <Card>
+        <CardContent className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-bold">Timeline</h2>
+            <Button type="button" variant="outline" onClick={handlePreviewToggle} disabled={!mainAudio || !mainAudioDuration}>
+              {previewing ? <Square className="mr-2 h-4 w-4" /> : <Play className="mr-2 h-4 w-4" />}
+              {previewing ? 'Stop Preview' : 'Preview Mix'}
+            </Button>
+          </div>
+          <Timeline
+            mainAudio={mainAudio}
+            mainAudioDuration={mainAudioDuration}
+            backgroundAudios={backgroundAudios}
+            currentTime={currentTime}
+            onSeek={handleSeek}
+            onClipChange={handleBackgroundAudioUpdate}
+            onEnvelopeChange={(index, placementIndex, points) => handleBackgroundSettingUpdate(index, placementIndex, 'envelope', 'points', points)}
+            selected={{ index: activeBackgroundIndex, placement: activePlacement }}
+            onSelect={handleTimelineSelect}
+          />
+          <FieldError message={fieldErrors.placements} />
+          <p className="text-xs text-muted-foreground mt-2">
+            The preview plays in your browser. Ducking, reverb, stereo width, the main track&apos;s processing and loudness normalization are only applied to the processed file.
+          </p>
+        </CardContent>
+      </Card>
+
       <AudioPlayer
         isPlaying={isPlaying}
         onPlayPause={handlePlayPause}
         progress={progress}
         mainVolume={mainVolume}
         onMainVolumeChange={handleMainVolumeChange}
-        backgroundTracks={backgroundAudios}
+        backgroundTracks={backgroundAudios.map(audio => ({ volume: audio.placements[0]?.volume ?? 1 }))}
         onBackgroundVolumeChange={handleBackgroundVolumeChange}
         currentTime={currentTime}
         duration={duration}
         onSeek={handleSeek}
+        waveform={outputWaveform}
       />
 
       <div className="space-y-4">
-        <div className="flex justify-center space-x-4">
-          <Button onClick={handleSubmit} disabled={!mainAudio || backgroundAudios.length === 0 || processing}>
-            <Sliders className="mr-2 h-4 w-4" />
-            {processing ? 'Processing...' : 'Process Audio'}
-          </Button>
-        </div>
+        <Card>
+          <CardContent className="p-6">
+            <h2 className="text-2xl font-bold mb-4">Export Settings</h2>
+            <div className="flex flex-col md:flex-row md:items-end gap-4">
+              <div className="flex-1">
+                <ExportSettings settings={outputSettings} onChange={setOutputSettings} disabled={processing} />
+                <FieldError message={fieldErrors.outputSettings} />
+              </div>
+              <Button onClick={handleSubmit} disabled={!mainAudio || backgroundAudios.length === 0 || processing}>
+                <Sliders className="mr-2 h-4 w-4" />
+                {processing ? 'Processing...' : 'Process Audio'}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+
+        {processing && (
+          <div className="space-y-1">
+            <div className="flex justify-between text-sm text-muted-foreground">
+              <span className="capitalize">{jobStage}</span>
+              <span>{Math.round(jobPercent)}%</span>
+            </div>
+            <Progress value={jobPercent} />
+          </div>
+        )}
 
         {error && (
           <Alert variant="destructive">
@@ -345,9 +939,24 @@ export default function AudioProcessingApp() {
               <a href={downloadUrl} download className="font-medium underline">
                 Download Processed Audio
               </a>
+              {loudnessReport && (
+                <p className="mt-2 text-muted-foreground">
+                  Loudness: {loudnessReport.output.integrated} LUFS integrated,
+                  LRA {loudnessReport.output.lra} LU,
+                  true peak {loudnessReport.output.truePeak} dBTP
+                  (measured before normalization: {loudnessReport.input.integrated} LUFS)
+                </p>
+              )}
             </AlertDescription>
           </Alert>
         )}
+
+        <Card>
+          <CardContent className="p-6">
+            <h2 className="text-2xl font-bold mb-4">Render History</h2>
+            <RenderHistory renders={renders} onPlay={handlePlayRender} />
+          </CardContent>
+        </Card>
       </div>
     </div>
   );
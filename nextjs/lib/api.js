@@ -0,0 +1,18 @@
+// The backend reports every error as { error: { code, message, field, details } }
+export class ApiError extends Error {
+  constructor({ code = 'unknown', message, field = null, details = null }) {
+    super(message);
+    this.code = code;
+    this.field = field;
+    this.details = details;
+  }
+}
+
+// The error in a failed response's JSON body
+export function apiError(data, fallbackMessage) {
+  const error = data && data.error;
+  if (error && typeof error === 'object') {
+    return new ApiError(error);
+  }
+  return new ApiError({ message: fallbackMessage });
+}
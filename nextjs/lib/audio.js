@@ -0,0 +1,59 @@
+// Decoded audio is cached per File so the timeline and the preview don't
+// decode the same upload twice. Both share one AudioContext.
+const decodedFiles = new WeakMap();
+let audioContext = null;
+
+export function getAudioContext() {
+  if (!audioContext) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    audioContext = new AudioContext();
+  }
+  return audioContext;
+}
+
+export function decodeAudioFile(file) {
+  if (!decodedFiles.has(file)) {
+    const decoding = file.arrayBuffer()
+      .then(data => getAudioContext().decodeAudioData(data))
+      .catch(err => {
+        decodedFiles.delete(file);
+        throw err;
+      });
+    decodedFiles.set(file, decoding);
+  }
+  return decodedFiles.get(file);
+}
+
+// Peak amplitude (0..1) of every `1 / peaksPerSecond` slice of the buffer,
+// taken across all channels
+export function computePeaks(buffer, peaksPerSecond = 100) {
+  const samplesPerPeak = Math.max(1, Math.floor(buffer.sampleRate / peaksPerSecond));
+  const peaks = new Float32Array(Math.ceil(buffer.length / samplesPerPeak));
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      const value = Math.abs(data[i]);
+      const peak = Math.floor(i / samplesPerPeak);
+      if (value > peaks[peak]) {
+        peaks[peak] = value;
+      }
+    }
+  }
+
+  return { peaks, peaksPerSecond: buffer.sampleRate / samplesPerPeak, duration: buffer.duration };
+}
+
+// Convert audiowaveform JSON (as served by the backend's peaks route) into
+// the same shape computePeaks returns
+export function peaksFromWaveformData(waveform) {
+  const scale = waveform.bits === 8 ? 128 : 32768;
+  const peaks = new Float32Array(waveform.length);
+  for (let i = 0; i < waveform.length; i++) {
+    const min = waveform.data[i * 2 * waveform.channels];
+    const max = waveform.data[i * 2 * waveform.channels + 1];
+    peaks[i] = Math.max(Math.abs(min), Math.abs(max)) / scale;
+  }
+  const peaksPerSecond = waveform.sample_rate / waveform.samples_per_pixel;
+  return { peaks, peaksPerSecond, duration: waveform.length / peaksPerSecond };
+}
@@ -0,0 +1,384 @@
+import { decodeAudioFile, getAudioContext } from './audio';
+
+// These mirror beckand/clips.js so the preview sounds like the render
+const FADE_CURVES = {
+  linear: 'tri',
+  exponential: 'exp',
+  logarithmic: 'log',
+  's-curve': 'hsin'
+};
+const CROSSFADE_CURVE = 'qsin';
+const DEFAULT_FADE_OUT = 0.5;
+const MAX_VOLUME = 4;
+const ENVELOPE_GAIN_RANGE = [-60, 12];
+const TOUCH_TOLERANCE = 0.001;
+// Points per second used to draw fade curves as gain automation
+const CURVE_RESOLUTION = 100;
+// Lead time so every source of a restart is scheduled against the same clock
+const START_DELAY = 0.05;
+
+// Gain at position `x` (0..1) of a fade-in, following ffmpeg's afade curves
+const fadeGain = (curve, x) => {
+  switch (curve) {
+    case 'qsin':
+      return Math.sin(x * Math.PI / 2);
+    case 'hsin':
+      return (1 - Math.cos(x * Math.PI)) / 2;
+    case 'exp':
+      return Math.exp(-11.512925464970227 * (1 - x));
+    case 'log':
+      return Math.max(0, Math.min(1 + 0.2 * Math.log10(x), 1));
+    default:
+      return x;
+  }
+};
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// Gain factor of a resolved envelope `t` seconds into its clip, computed
+// like envelopeFilter on the server
+export const envelopeGain = (envelope, t) => {
+  const { points, interpolation } = envelope;
+  if (t <= points[0].time) {
+    return dbToGain(points[0].gain);
+  }
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    if (t < to.time) {
+      const x = (t - from.time) / (to.time - from.time);
+      return interpolation === 'exponential'
+        ? dbToGain(from.gain + (to.gain - from.gain) * x)
+        : dbToGain(from.gain) + (dbToGain(to.gain) - dbToGain(from.gain)) * x;
+    }
+  }
+  return dbToGain(points[points.length - 1].gain);
+};
+
+// Keyframes sorted by time with their gains in range, or null
+export const resolveEnvelope = (envelope) => {
+  if (!envelope || !envelope.points || envelope.points.length === 0) {
+    return null;
+  }
+  const [minGain, maxGain] = ENVELOPE_GAIN_RANGE;
+  return {
+    interpolation: envelope.interpolation === 'exponential' ? 'exponential' : 'linear',
+    points: envelope.points
+      .map(point => ({ time: Math.max(0, point.time), gain: Math.max(minGain, Math.min(point.gain, maxGain)) }))
+      .sort((a, b) => a.time - b.time)
+  };
+};
+
+const DEFAULT_EQ = { lowGain: 0, lowFrequency: 200, highGain: 0, highFrequency: 5000, highCut: 0 };
+
+// A fade-out left at its default (`auto`) shortens to what the fade-in
+// leaves of the clip, like the server's default fade-out
+export const fitFadeOut = (fadeOut, fadeIn, clipDuration) => {
+  if (!fadeOut || !fadeOut.auto) {
+    return fadeOut;
+  }
+  const { auto, ...fade } = fadeOut;
+  const room = clipDuration - ((fadeIn && parseFloat(fadeIn.duration)) || 0);
+  return { ...fade, duration: Math.max(0, Math.min(parseFloat(fade.duration) || 0, room)) };
+};
+
+const resolveFade = (fade, defaultDuration) => {
+  if (!fade) {
+    return { duration: defaultDuration, curve: FADE_CURVES.linear };
+  }
+  return { duration: parseFloat(fade.duration) || 0, curve: FADE_CURVES[fade.curve] || FADE_CURVES.linear };
+};
+
+// Length of a placement on the main track, as the server works it out: up
+// to the end of the main track and, unless it loops, of the audio left in
+// its file once that's known
+export function placementLength(placement, sourceDuration, mainDuration) {
+  const startTime = parseFloat(placement.timestamp) || 0;
+  let length = Math.min(parseFloat(placement.duration) || (mainDuration - startTime), mainDuration - startTime);
+  if (sourceDuration > 0 && !(placement.loop && placement.loop.enabled)) {
+    length = Math.min(length, sourceDuration - (parseFloat(placement.sourceStart) || 0));
+  }
+  return Math.max(0, length);
+}
+
+// Same clip timing as resolveClips on the server: absolute start/end on the
+// main track, fades, and crossfades between touching clips of a track
+export function resolvePreviewClips(backgroundAudios, mainDuration) {
+  const clips = [];
+
+  backgroundAudios.forEach((audio, asset) => {
+    audio.placements.forEach((placement, index) => {
+      const startTime = parseFloat(placement.timestamp) || 0;
+      const endTime = startTime + placementLength(placement, audio.sourceDuration, mainDuration);
+      const volume = parseFloat(placement.volume);
+      const fadeIn = resolveFade(placement.fadeIn, 0);
+      clips.push({
+        key: `${asset}_${index}`,
+        file: audio.file,
+        track: placement.track !== undefined ? String(placement.track) : `bg${asset + 1}`,
+        startTime,
+        endTime,
+        sourceStart: parseFloat(placement.sourceStart) || 0,
+        volume: isNaN(volume) ? 1 : Math.max(0, Math.min(volume, MAX_VOLUME)),
+        fadeIn,
+        fadeOut: resolveFade(
+          fitFadeOut(placement.fadeOut, fadeIn, endTime - startTime),
+          Math.max(0, Math.min(DEFAULT_FADE_OUT, endTime - startTime - fadeIn.duration))
+        ),
+        crossfade: parseFloat(placement.crossfade) || 0,
+        loop: Boolean(placement.loop && placement.loop.enabled),
+        pan: Math.max(-1, Math.min(parseFloat(placement.stereo && placement.stereo.pan) || 0, 1)),
+        eq: { ...DEFAULT_EQ, ...placement.eq },
+        envelope: resolveEnvelope(placement.envelope)
+      });
+    });
+  });
+
+  const tracks = {};
+  clips.forEach(clip => {
+    (tracks[clip.track] = tracks[clip.track] || []).push(clip);
+  });
+  Object.values(tracks).forEach(trackClips => {
+    const ordered = [...trackClips].sort((a, b) => a.startTime - b.startTime);
+    for (let i = 1; i < ordered.length; i++) {
+      const previous = ordered[i - 1];
+      const clip = ordered[i];
+      if (!clip.crossfade || Math.abs(clip.startTime - previous.endTime) > TOUCH_TOLERANCE) {
+        continue;
+      }
+      previous.endTime = Math.min(previous.endTime + clip.crossfade, mainDuration);
+      previous.fadeOut = { duration: previous.endTime - clip.startTime, curve: CROSSFADE_CURVE };
+      clip.fadeIn = { duration: clip.crossfade, curve: CROSSFADE_CURVE };
+    }
+  });
+
+  return clips;
+}
+
+// Everything about a mix except volumes; when this changes the sources have
+// to be scheduled again
+const timingOf = (mix) => JSON.stringify(mix.clips.map(({ file, volume, ...timing }) => timing));
+
+// Automate `gain` with the clip's fades, for playback starting `clipOffset`
+// seconds into the clip at context time `when`
+const scheduleFades = (gain, clip, clipOffset, when) => {
+  const length = clip.endTime - clip.startTime;
+  const envelope = (t) => {
+    let value = 1;
+    if (clip.fadeIn.duration > 0 && t < clip.fadeIn.duration) {
+      value *= fadeGain(clip.fadeIn.curve, t / clip.fadeIn.duration);
+    }
+    if (clip.fadeOut.duration > 0 && t > length - clip.fadeOut.duration) {
+      value *= fadeGain(clip.fadeOut.curve, Math.max(0, length - t) / clip.fadeOut.duration);
+    }
+    return value;
+  };
+
+  // Two curves may not overlap, so the fade-out starts just after the fade-in
+  const fadeOutStart = Math.max(length - clip.fadeOut.duration, clip.fadeIn.duration > 0 ? clip.fadeIn.duration + 0.001 : 0);
+  const segments = [[0, clip.fadeIn.duration], [fadeOutStart, length]]
+    .map(([start, end]) => [Math.max(start, clipOffset), end])
+    .filter(([from, end]) => end - from > 0);
+
+  if (!segments.some(([from]) => from === clipOffset)) {
+    gain.setValueAtTime(envelope(clipOffset), when);
+  }
+  segments.forEach(([from, end]) => {
+    const points = Math.max(2, Math.ceil((end - from) * CURVE_RESOLUTION));
+    const values = Float32Array.from({ length: points }, (_, i) => envelope(from + (i / (points - 1)) * (end - from)));
+    gain.setValueCurveAtTime(values, when + from - clipOffset, end - from);
+  });
+};
+
+// Automate `gain` with the clip's volume envelope, like scheduleFades
+const scheduleEnvelope = (gain, clip, clipOffset, when) => {
+  const remaining = clip.endTime - clip.startTime - clipOffset;
+  const points = Math.max(2, Math.ceil(remaining * CURVE_RESOLUTION));
+  const values = Float32Array.from({ length: points }, (_, i) => envelopeGain(clip.envelope, clipOffset + (i / (points - 1)) * remaining));
+  gain.setValueCurveAtTime(values, when, remaining);
+};
+
+// Filters for a clip's shelf EQ and high cut, the way the server applies them
+const createEqFilters = (context, eq) => {
+  const filters = [];
+  const addFilter = (type, frequency, gain) => {
+    const filter = context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    if (gain !== undefined) {
+      filter.gain.value = gain;
+    }
+    filters.push(filter);
+  };
+  if (eq.lowGain) {
+    addFilter('lowshelf', eq.lowFrequency, eq.lowGain);
+  }
+  if (eq.highGain) {
+    addFilter('highshelf', eq.highFrequency, eq.highGain);
+  }
+  if (eq.highCut > 0) {
+    addFilter('lowpass', Math.max(eq.highCut, 200));
+  }
+  return filters;
+};
+
+// Plays a mix in the browser with the Web Audio API. `mix` holds the main
+// `mainFile`, its `mainDuration` and `mainVolume`, and the `clips` from
+// resolvePreviewClips. Clips are panned, equalized and follow their volume
+// envelopes, but ducking, reverb, stereo width, the main track's processing
+// and loudness normalization are only applied by the server.
+export function createMixPreview({ onEnded } = {}) {
+  let current = null;
+  let playing = false;
+  let generation = 0;
+  let startedAt = null;
+  let startOffset = 0;
+  let mainGain = null;
+  let clipGains = new Map();
+  let sources = [];
+
+  function stopSources() {
+    sources.forEach(source => {
+      source.onended = null;
+      source.stop();
+      source.disconnect();
+    });
+    sources = [];
+    clipGains = new Map();
+    mainGain = null;
+  }
+
+  function start(offset) {
+    const run = ++generation;
+    stopSources();
+    startedAt = null;
+    startOffset = offset;
+
+    const context = getAudioContext();
+    const files = [current.mainFile, ...current.clips.map(clip => clip.file)];
+    return Promise.all(files.map(decodeAudioFile))
+      .then(buffers => context.resume().then(() => buffers))
+      .then(([mainBuffer, ...clipBuffers]) => {
+        // A newer start or stop happened while decoding
+        if (run !== generation) {
+          return;
+        }
+
+        const when = context.currentTime + START_DELAY;
+        const mix = current;
+
+        const mainSource = context.createBufferSource();
+        mainSource.buffer = mainBuffer;
+        mainGain = context.createGain();
+        mainGain.gain.value = mix.mainVolume;
+        mainSource.connect(mainGain).connect(context.destination);
+        mainSource.onended = () => {
+          stop();
+          if (onEnded) {
+            onEnded();
+          }
+        };
+        mainSource.start(when, offset);
+        sources.push(mainSource);
+
+        mix.clips.forEach((clip, i) => {
+          if (clip.endTime <= offset) {
+            return;
+          }
+          const buffer = clipBuffers[i];
+          const clipOffset = Math.max(0, offset - clip.startTime);
+          const startAt = when + Math.max(0, clip.startTime - offset);
+          const remaining = clip.endTime - clip.startTime - clipOffset;
+
+          const source = context.createBufferSource();
+          source.buffer = buffer;
+          let position = clip.sourceStart + clipOffset;
+          if (clip.loop) {
+            source.loop = true;
+            source.loopStart = clip.sourceStart;
+            source.loopEnd = buffer.duration;
+            position = clip.sourceStart + clipOffset % (buffer.duration - clip.sourceStart);
+          } else if (position >= buffer.duration) {
+            return;
+          }
+
+          const fades = context.createGain();
+          scheduleFades(fades.gain, clip, clipOffset, startAt);
+          const volume = context.createGain();
+          volume.gain.value = clip.volume;
+          const panner = context.createStereoPanner();
+          panner.pan.value = clip.pan;
+          const chain = [fades, ...createEqFilters(context, clip.eq), panner, volume];
+          if (clip.envelope) {
+            const envelope = context.createGain();
+            scheduleEnvelope(envelope.gain, clip, clipOffset, startAt);
+            chain.splice(1, 0, envelope);
+          }
+          chain.reduce((previous, node) => previous.connect(node), source).connect(context.destination);
+          source.start(startAt, position);
+          source.stop(startAt + remaining);
+          sources.push(source);
+          clipGains.set(clip.key, volume);
+        });
+
+        startedAt = when;
+      });
+  }
+
+  function play(mix, offset = 0) {
+    current = mix;
+    playing = true;
+    return start(offset);
+  }
+
+  function stop() {
+    playing = false;
+    generation++;
+    stopSources();
+  }
+
+  // Position on the main track in seconds
+  function currentTime() {
+    if (!playing || startedAt === null) {
+      return startOffset;
+    }
+    const elapsed = Math.max(0, getAudioContext().currentTime - startedAt);
+    return Math.min(startOffset + elapsed, current.mainDuration);
+  }
+
+  function seek(time) {
+    if (playing) {
+      start(time);
+    } else {
+      startOffset = time;
+    }
+  }
+
+  // Apply changed settings while playing. Volume changes are applied to the
+  // running sources, anything else restarts playback where it is.
+  function update(mix) {
+    if (!playing) {
+      return;
+    }
+    const restart = mix.mainFile !== current.mainFile || timingOf(mix) !== timingOf(current);
+    const position = currentTime();
+    current = mix;
+    if (restart) {
+      start(position);
+      return;
+    }
+
+    const now = getAudioContext().currentTime;
+    if (mainGain) {
+      mainGain.gain.setTargetAtTime(mix.mainVolume, now, 0.01);
+    }
+    mix.clips.forEach(clip => {
+      const gain = clipGains.get(clip.key);
+      if (gain) {
+        gain.gain.setTargetAtTime(clip.volume, now, 0.01);
+      }
+    });
+  }
+
+  return { play, stop, seek, update, currentTime };
+}